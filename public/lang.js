@@ -5,6 +5,7 @@ const translations = {
     en: {
         // Navigation
         nav_catalog: 'Catalog',
+        nav_search: 'Search',
         nav_users: 'Users',
         nav_settings: 'Settings',
 
@@ -13,9 +14,18 @@ const translations = {
         search_type_all: 'All',
         search_type_movies: 'Movies',
         search_type_series: 'Series',
+        search_no_results: 'No results on TMDB',
+        in_my_catalog: 'In my catalog',
+        request_media: 'Add to my catalog',
+        request_seasons: 'Seasons to add:',
+        episodes: 'episodes',
         filter_all: 'All',
         filter_available: 'Available',
         filter_unavailable: 'No Source',
+        filter_abandoned: 'Abandoned',
+        filter_waiting_release: 'Upcoming',
+        filter_archived: 'Archived',
+        filter_trash: 'Trash',
         all_users: 'All Users',
         empty_catalog: 'No media in catalog',
         empty_hint: 'Content is synced from Overseerr/Jellyseerr',
@@ -99,9 +109,120 @@ const translations = {
 
         // Stream Filters
         stream_filters: 'Stream Filters',
-        language_tags: 'Language Tags (max 2):',
+        language_tags: 'Language Tags:',
+        must_contain: 'Must contain:',
+        must_not_contain: 'Must not contain:',
+        must_match: 'Regex (must match):',
+        must_not_match: 'Regex (exclude):',
+        size_range: 'Size (GB):',
         min_resolution: 'Min Resolution:',
         auto_cleanup: 'Auto-cleanup watched content',
+        cleanup_action: 'Watched content:',
+        cleanup_delete: 'Delete',
+        cleanup_archive: 'Archive',
+        cleanup_after: 'after',
+        days: 'days',
+        watched_threshold: 'Watched at:',
+        restore: 'Restore',
+        archived_on: 'Archived on',
+        watched_on: 'watched on',
+        catalog_transfer: 'Export / Import',
+        catalog_export: 'Export:',
+        catalog_import: 'Import:',
+        catalog_import_hint: 'JSON export from SeerrCatalog, or CSV with type, tmdb_id and/or imdb_id columns. Items already in the catalog are skipped.',
+        import_added: 'added',
+        import_skipped: 'already in the catalog',
+        import_errors: 'errors',
+        watchlist_import: 'Watchlist:',
+        watchlist_import_hint: 'Letterboxd CSV, IMDb list CSV or Trakt JSON export. Titles are matched on TMDB and shown for review before they are added.',
+        watchlist_preview: 'Watchlist Import',
+        watchlist_add: 'Add selected',
+        watchlist_matching: 'Matching titles on TMDB...',
+        watchlist_entries: 'entries',
+        watchlist_matched: 'matched',
+        watchlist_no_match: 'No match on TMDB',
+        watchlist_in_catalog: 'Already in catalog',
+        confidence_high: 'Sure match',
+        confidence_medium: 'Likely match',
+        confidence_low: 'Uncertain',
+        confidence_none: 'Not found',
+        deleted_on: 'Deleted on',
+        delete_permanently: 'Delete permanently',
+        trash: 'Trash',
+        trash_retention_days: 'Keep deleted media (days)',
+        trash_retention_days_hint: 'Deleted media go to the trash ("Trash" filter), where they can be restored. They are permanently deleted after this many days (0 = never).',
+        backups: 'Backups',
+        backup_keep: 'Backups to keep',
+        backup_now: 'Back up now',
+        backup_hint: 'The database is backed up on the "backup" schedule (see Scheduled Tasks) into data/backups.',
+        no_backups: 'No backups yet',
+        backup_restore: 'Restore a backup',
+        backup_restore_button: 'Restore',
+        backup_restore_hint: 'Replaces all data with the backup once it passes an integrity check. The current database is backed up first.',
+        backup_restore_confirm: 'Replace all data with this backup?',
+        backup_restored: 'Backup restored',
+        stremio_library: 'Add available content to my Stremio library',
+        extra_catalogs: 'Extra catalogs:',
+        extra_catalogs_hint: 'Reinstall the addon in Stremio after changing catalogs',
+        catalog_available: 'Available now',
+        catalog_unavailable: 'Still searching',
+        catalog_recent: 'Recently available',
+        catalog_watched: 'Watched',
+        catalog_sort: 'Default sort:',
+        sort_added: 'Date added',
+        sort_available: 'Newest available',
+        sort_year: 'Release year',
+        sort_title: 'Title',
+        sort_rating: 'TMDB rating',
+        sort_streams: 'Stream count',
+
+        // Scoring profiles
+        quality_profiles: 'Scoring Profiles',
+        default_profile: 'Default profile:',
+        edit_profile: 'Edit:',
+        profile_name: 'Name:',
+        min_score: 'Min score:',
+        score_rules: 'Scores:',
+        score_rules_hint: 'One rule per line: type:value = points (resolution, source, codec, hdr, audio, language, group, term, regex)',
+        invalid_score_rule: 'Invalid rule (expected type:value = points):',
+        shared: 'shared',
+        no_scoring: 'No scoring',
+        new_profile: 'New profile',
+        profile_saved: 'Scoring profile saved!',
+
+        // Shared quality profiles
+        shared_quality_profiles: 'Quality Profiles',
+        shared_quality_profiles_hint: "Listed as Radarr/Sonarr quality profiles in Jellyseerr. Filters and addons set here replace the user's own for media requested with the profile. Give a profile a root folder (e.g. /movies-4k) and pick it in Jellyseerr's 4K server to check those requests with the profile.",
+        root_folder: 'Root folder:',
+        addon_ids: 'Addon IDs:',
+        user_setting: "User's setting",
+
+        // Addon health
+        addon_success_rate: 'Success rate',
+        addon_latency: 'Average latency',
+        addon_last_error: 'Last error',
+        addon_disabled_until: 'Skipped until',
+
+        // Stream Checking
+        stream_checking: 'Stream Checking',
+        job_concurrency: 'Parallel checks',
+        job_concurrency_hint: 'Number of media checked at the same time (1-10)',
+        addon_rate_limit: 'Delay between requests to the same addon (ms)',
+        job_queue: 'Queue',
+        job_queued: 'queued',
+        job_running: 'running',
+        job_failed: 'failed',
+        recheck_max_attempts: 'Give up after (failed checks)',
+        recheck_max_attempts_hint: 'Media still without a source after this many checks are abandoned and no longer rechecked (0 = never). Rechecks get less frequent after each failure, and more frequent around the digital/physical release.',
+
+        // Scheduled tasks
+        scheduled_tasks: 'Scheduled Tasks',
+        scheduled_tasks_hint: 'Cron expressions (minute hour day month weekday) in the server\'s time zone, e.g. "0 * * * *" every hour, "0 3 * * *" every night at 3:00. Leave empty for the default.',
+        run_now: 'Run now',
+        task_running: 'Running',
+        task_started: 'Started',
+        last_run: 'Last run',
+        next_run: 'Next run',
 
         // Discord Notifications
         discord_notifications: 'Discord Notifications',
@@ -115,12 +236,26 @@ const translations = {
         // Modal
         sources_found: 'Sources found:',
         no_sources_found: 'No sources found during last check',
-        files: 'files'
+        rejected_by_filters: 'Rejected by filters or score:',
+        episodes_watched: 'Episodes watched',
+        files: 'files',
+        abandoned: 'Abandoned',
+        abandoned_after: 'Abandoned after',
+        abandoned_hint: 'Check streams to start searching again.',
+        checks: 'checks',
+        failed_checks: 'Failed checks',
+        next_check: 'Next check',
+        waiting_release: 'Waiting for release',
+        waiting_release_hint: 'Not out yet: checks start automatically on release day.',
+        release_theatrical: 'In cinemas',
+        release_digital: 'Digital',
+        release_physical: 'Physical'
     },
 
     fr: {
         // Navigation
         nav_catalog: 'Catalogue',
+        nav_search: 'Rechercher',
         nav_users: 'Utilisateurs',
         nav_settings: 'Paramètres',
 
@@ -129,9 +264,18 @@ const translations = {
         search_type_all: 'Tout',
         search_type_movies: 'Films',
         search_type_series: 'Séries',
+        search_no_results: 'Aucun résultat sur TMDB',
+        in_my_catalog: 'Dans mon catalogue',
+        request_media: 'Ajouter à mon catalogue',
+        request_seasons: 'Saisons à ajouter :',
+        episodes: 'épisodes',
         filter_all: 'Tout',
         filter_available: 'Disponible',
         filter_unavailable: 'Sans source',
+        filter_abandoned: 'Abandonnés',
+        filter_waiting_release: 'À venir',
+        filter_archived: 'Archivés',
+        filter_trash: 'Corbeille',
         all_users: 'Tous les utilisateurs',
         empty_catalog: 'Aucun média dans le catalogue',
         empty_hint: 'Le contenu est synchronisé depuis Overseerr/Jellyseerr',
@@ -215,9 +359,120 @@ const translations = {
 
         // Stream Filters
         stream_filters: 'Filtres de sources',
-        language_tags: 'Tags de langue (max 2) :',
+        language_tags: 'Tags de langue :',
+        must_contain: 'Doit contenir :',
+        must_not_contain: 'Ne doit pas contenir :',
+        must_match: 'Regex (obligatoire) :',
+        must_not_match: 'Regex (exclusion) :',
+        size_range: 'Taille (Go) :',
         min_resolution: 'Résolution minimale :',
         auto_cleanup: 'Nettoyage auto du contenu regardé',
+        cleanup_action: 'Contenu regardé :',
+        cleanup_delete: 'Supprimer',
+        cleanup_archive: 'Archiver',
+        cleanup_after: 'après',
+        days: 'jours',
+        watched_threshold: 'Regardé à :',
+        restore: 'Restaurer',
+        archived_on: 'Archivé le',
+        watched_on: 'regardé le',
+        catalog_transfer: 'Export / Import',
+        catalog_export: 'Exporter :',
+        catalog_import: 'Importer :',
+        catalog_import_hint: 'Export JSON de SeerrCatalog, ou CSV avec les colonnes type, tmdb_id et/ou imdb_id. Les contenus déjà présents dans le catalogue sont ignorés.',
+        import_added: 'ajoutés',
+        import_skipped: 'déjà dans le catalogue',
+        import_errors: 'erreurs',
+        watchlist_import: 'Watchlist :',
+        watchlist_import_hint: 'Export CSV Letterboxd, CSV de liste IMDb ou JSON Trakt. Les titres sont recherchés sur TMDB et présentés pour validation avant l\'ajout.',
+        watchlist_preview: 'Import de watchlist',
+        watchlist_add: 'Ajouter la sélection',
+        watchlist_matching: 'Recherche des titres sur TMDB...',
+        watchlist_entries: 'entrées',
+        watchlist_matched: 'trouvées',
+        watchlist_no_match: 'Introuvable sur TMDB',
+        watchlist_in_catalog: 'Déjà dans le catalogue',
+        confidence_high: 'Correspondance sûre',
+        confidence_medium: 'Correspondance probable',
+        confidence_low: 'Incertain',
+        confidence_none: 'Introuvable',
+        deleted_on: 'Supprimé le',
+        delete_permanently: 'Supprimer définitivement',
+        trash: 'Corbeille',
+        trash_retention_days: 'Conserver les médias supprimés (jours)',
+        trash_retention_days_hint: 'Les médias supprimés vont dans la corbeille (filtre « Corbeille »), d\'où ils peuvent être restaurés. Ils sont définitivement supprimés après ce nombre de jours (0 = jamais).',
+        backups: 'Sauvegardes',
+        backup_keep: 'Sauvegardes à conserver',
+        backup_now: 'Sauvegarder maintenant',
+        backup_hint: 'La base de données est sauvegardée selon la planification « backup » (voir Tâches planifiées) dans data/backups.',
+        no_backups: 'Aucune sauvegarde pour le moment',
+        backup_restore: 'Restaurer une sauvegarde',
+        backup_restore_button: 'Restaurer',
+        backup_restore_hint: 'Remplace toutes les données par la sauvegarde si elle passe la vérification d\'intégrité. La base actuelle est sauvegardée avant.',
+        backup_restore_confirm: 'Remplacer toutes les données par cette sauvegarde ?',
+        backup_restored: 'Sauvegarde restaurée',
+        stremio_library: 'Ajouter le contenu disponible à ma bibliothèque Stremio',
+        extra_catalogs: 'Catalogues en plus :',
+        extra_catalogs_hint: 'Réinstallez l\'addon dans Stremio après avoir changé les catalogues',
+        catalog_available: 'Disponibles',
+        catalog_unavailable: 'Toujours en recherche',
+        catalog_recent: 'Récemment disponibles',
+        catalog_watched: 'Regardés',
+        catalog_sort: 'Tri par défaut :',
+        sort_added: 'Date d\'ajout',
+        sort_available: 'Derniers disponibles',
+        sort_year: 'Année de sortie',
+        sort_title: 'Titre',
+        sort_rating: 'Note TMDB',
+        sort_streams: 'Nombre de sources',
+
+        // Profils de score
+        quality_profiles: 'Profils de score',
+        default_profile: 'Profil par défaut :',
+        edit_profile: 'Modifier :',
+        profile_name: 'Nom :',
+        min_score: 'Score minimum :',
+        score_rules: 'Scores :',
+        score_rules_hint: 'Une règle par ligne : type:valeur = points (resolution, source, codec, hdr, audio, language, group, term, regex)',
+        invalid_score_rule: 'Règle invalide (attendu type:valeur = points) :',
+        shared: 'partagé',
+        no_scoring: 'Aucun score',
+        new_profile: 'Nouveau profil',
+        profile_saved: 'Profil de score enregistré !',
+
+        // Profils de qualité partagés
+        shared_quality_profiles: 'Profils de qualité',
+        shared_quality_profiles_hint: "Proposés comme profils de qualité Radarr/Sonarr dans Jellyseerr. Les filtres et addons définis ici remplacent ceux de l'utilisateur pour les médias demandés avec ce profil. Donnez un dossier racine à un profil (ex. /movies-4k) et choisissez-le dans le serveur 4K de Jellyseerr pour vérifier ces demandes avec ce profil.",
+        root_folder: 'Dossier racine :',
+        addon_ids: 'IDs des addons :',
+        user_setting: "Réglage de l'utilisateur",
+
+        // Addon health
+        addon_success_rate: 'Taux de succès',
+        addon_latency: 'Latence moyenne',
+        addon_last_error: 'Dernière erreur',
+        addon_disabled_until: 'Ignoré jusqu\'à',
+
+        // Stream Checking
+        stream_checking: 'Vérification des sources',
+        job_concurrency: 'Vérifications en parallèle',
+        job_concurrency_hint: 'Nombre de médias vérifiés en même temps (1-10)',
+        addon_rate_limit: 'Délai entre deux requêtes vers un même addon (ms)',
+        job_queue: 'File d\'attente',
+        job_queued: 'en attente',
+        job_running: 'en cours',
+        job_failed: 'en échec',
+        recheck_max_attempts: 'Abandonner après (vérifications échouées)',
+        recheck_max_attempts_hint: 'Les médias toujours sans source après ce nombre de vérifications sont abandonnés et ne sont plus revérifiés (0 = jamais). Les vérifications s\'espacent après chaque échec, et se rapprochent autour de la sortie numérique/physique.',
+
+        // Tâches planifiées
+        scheduled_tasks: 'Tâches planifiées',
+        scheduled_tasks_hint: 'Expressions cron (minute heure jour mois jour-de-semaine) dans le fuseau horaire du serveur, ex. "0 * * * *" toutes les heures, "0 3 * * *" chaque nuit à 3h. Laisser vide pour la valeur par défaut.',
+        run_now: 'Lancer maintenant',
+        task_running: 'En cours',
+        task_started: 'Lancée',
+        last_run: 'Dernière exécution',
+        next_run: 'Prochaine exécution',
 
         // Discord Notifications
         discord_notifications: 'Notifications Discord',
@@ -231,7 +486,20 @@ const translations = {
         // Modal
         sources_found: 'Sources trouvées :',
         no_sources_found: 'Aucune source trouvée lors de la dernière vérification',
-        files: 'fichiers'
+        rejected_by_filters: 'Rejetées par les filtres ou le score :',
+        episodes_watched: 'Épisodes vus',
+        files: 'fichiers',
+        abandoned: 'Abandonné',
+        abandoned_after: 'Abandonné après',
+        abandoned_hint: 'Vérifiez les sources pour relancer la recherche.',
+        checks: 'vérifications',
+        failed_checks: 'Vérifications échouées',
+        next_check: 'Prochaine vérification',
+        waiting_release: 'En attente de sortie',
+        waiting_release_hint: 'Pas encore sorti : les vérifications démarrent automatiquement le jour de la sortie.',
+        release_theatrical: 'Au cinéma',
+        release_digital: 'Numérique',
+        release_physical: 'Physique'
     }
 };
 
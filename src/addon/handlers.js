@@ -1,4 +1,11 @@
 const db = require('../db');
+const { getRankedStreams } = require('../services/stremio');
+const { resolveCheckSettings } = require('../services/streamChecker');
+const { createHealthTracker } = require('../services/addonHealth');
+const { EXTRA_CATALOGS, CATALOG_SORTS } = require('./manifest');
+
+// "Recently available" catalog: streams found in the last 30 days
+const RECENT_PERIOD = 30 * 24 * 60 * 60 * 1000;
 
 /**
  * Convert database media to Stremio meta preview format
@@ -25,6 +32,24 @@ function toMetaPreview(media) {
     };
 }
 
+/**
+ * Describe where the search for an unavailable item stands, for the "Still searching" catalog
+ */
+function getSearchStatus(media) {
+    if (media.status === 'waiting_release') {
+        const releaseDay = media.digital_release || media.physical_release || media.theatrical_release;
+        return `⏳ Waiting for release${releaseDay ? ` (${releaseDay})` : ''}`;
+    }
+    if (!media.last_stream_check) {
+        return '🔍 Not checked yet';
+    }
+
+    const lastCheck = media.last_stream_check.substring(0, 16).replace('T', ' ');
+    const attempts = media.check_attempts ? `, ${media.check_attempts} failed checks` : '';
+    const next = media.next_check_at ? `, next check ${media.next_check_at.substring(0, 16).replace('T', ' ')}` : '';
+    return `🔍 Still searching: last checked ${lastCheck}${attempts}${next}`;
+}
+
 /**
  * Convert database media to full Stremio meta format
  */
@@ -54,7 +79,7 @@ function getSeriesVideos(media) {
         season: ep.season_number,
         episode: ep.episode_number,
         overview: ep.overview,
-        released: ep.air_date
+        released: ep.air_date ? new Date(ep.air_date).toISOString() : undefined
     }));
 }
 
@@ -67,11 +92,20 @@ function parseCatalogId(id) {
     if (id.includes('available') && !id.includes('unavailable')) {
         filters.available = true;
     } else if (id.includes('unavailable')) {
+        // Abandoned items are no longer searched for
         filters.available = false;
+        filters.excludeStatus = 'abandoned';
+    }
+
+    if (id.includes('recent')) {
+        filters.available = true;
+        filters.availableSince = new Date(Date.now() - RECENT_PERIOD).toISOString();
+        filters.sort = 'available';
     }
 
     if (id.includes('watched')) {
         filters.watched = true;
+        filters.sort = 'watched';
     }
 
     if (id.includes('series')) {
@@ -83,6 +117,40 @@ function parseCatalogId(id) {
     return filters;
 }
 
+/**
+ * Get genres present in a catalog, used to fill the manifest's genre options
+ * @param {number} userId - Optional user ID (global catalog if omitted)
+ */
+function getCatalogGenres(userId) {
+    const filters = userId !== undefined && userId !== null ? { userId } : {};
+    return {
+        movie: db.getGenres({ ...filters, type: 'movie' }),
+        series: db.getGenres({ ...filters, type: 'series' })
+    };
+}
+
+/**
+ * Sort key from a "sort" extra value (option label or key)
+ * @param {string} value - e.g. "Newest available" or "available"
+ * @returns {string|null} Key of CATALOG_SORTS, or null if unknown
+ */
+function getSortKey(value) {
+    if (!value) return null;
+    if (CATALOG_SORTS[value]) return value;
+    return Object.keys(CATALOG_SORTS).find(key => CATALOG_SORTS[key] === value) || null;
+}
+
+/**
+ * Extra catalogs a user switched on (see manifest.EXTRA_CATALOGS)
+ * @param {number} userId - User ID
+ * @returns {Array} Catalog keys
+ */
+function getUserExtraCatalogs(userId) {
+    const saved = db.getSetting(`stremio_catalogs_${userId}`);
+    const keys = saved ? JSON.parse(saved) : [];
+    return keys.filter(key => EXTRA_CATALOGS[key]);
+}
+
 /**
  * Catalog handler - returns list of media
  */
@@ -99,6 +167,17 @@ function catalogHandler(args) {
         filters.search = extra.search;
     }
 
+    if (extra && extra.genre) {
+        filters.genre = extra.genre;
+    }
+
+    // Picked sort, else the user's default for catalogs without an order of their own (recent, watched)
+    const sort = getSortKey(extra?.sort) ||
+        (!filters.sort && userId !== undefined && userId !== null ? getSortKey(db.getSetting(`catalog_sort_${userId}`)) : null);
+    if (sort) {
+        filters.sort = sort;
+    }
+
     // Filter by userId ONLY if explicitly provided (user-specific catalog)
     // Global catalog shows all media regardless of user
     if (userId !== undefined && userId !== null) {
@@ -110,7 +189,13 @@ function catalogHandler(args) {
     const skip = extra?.skip ? parseInt(extra.skip) : 0;
     media = media.slice(skip, skip + 100);
 
-    const metas = media.map(toMetaPreview);
+    const metas = media.map(item => {
+        const preview = toMetaPreview(item);
+        if (filters.available === false) {
+            preview.description = [getSearchStatus(item), item.overview].filter(Boolean).join('\n\n');
+        }
+        return preview;
+    });
 
     return Promise.resolve({ metas });
 }
@@ -140,9 +225,54 @@ function metaHandler(args) {
     return Promise.resolve({ meta: toMeta(media) });
 }
 
+/**
+ * Stream handler - proxies the user's best matching streams from their own addons
+ * Streams come from the user's Stremio account: without a user there are none to serve
+ */
+async function streamHandler(args) {
+    const { type, id, userId } = args;
+    if (userId === undefined || userId === null) {
+        return { streams: [] };
+    }
+
+    // Video IDs are "tt123" for movies and "tt123:season:episode" for series
+    const [baseId, ...episodeParts] = id.split(':');
+
+    let media = null;
+    if (baseId.startsWith('tt')) {
+        media = db.getMediaByImdb(baseId, userId);
+    } else if (baseId === 'tmdb') {
+        const tmdbId = parseInt(episodeParts.shift());
+        media = db.getMediaByTmdb(type, tmdbId, userId);
+    }
+
+    // Only serve streams for items in our catalog
+    if (!media || media.type !== type || !media.imdb_id) {
+        return { streams: [] };
+    }
+
+    const user = db.getUserById(userId);
+    if (!user || !user.stremio_auth_key) {
+        return { streams: [] };
+    }
+
+    const videoId = [media.imdb_id, ...episodeParts].join(':');
+    const { selectedAddonIds, filterPrefs, profile } = resolveCheckSettings(media, user.id, db);
+
+    const streams = await getRankedStreams(type, videoId, user.stremio_auth_key, selectedAddonIds, filterPrefs, {
+        health: createHealthTracker(user.id, db),
+        profile
+    });
+
+    return { streams };
+}
+
 module.exports = {
     catalogHandler,
     metaHandler,
+    streamHandler,
+    getCatalogGenres,
+    getUserExtraCatalogs,
     toMetaPreview,
     toMeta
 };
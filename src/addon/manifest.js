@@ -1,50 +1,106 @@
+// Optional catalogs, switched on per user (catalog ids are parsed by handlers.parseCatalogId)
+const EXTRA_CATALOGS = {
+    available: 'Available now',
+    unavailable: 'Still searching',
+    recent: 'Recently available',
+    watched: 'Watched'
+};
+
+// Sort orders offered in the "sort" extra (keys are db.getFilteredMedia sorts)
+const CATALOG_SORTS = {
+    added: 'Date added',
+    available: 'Newest available',
+    year: 'Release year',
+    title: 'Title',
+    rating: 'TMDB rating',
+    streams: 'Stream count'
+};
+
 const manifest = {
     id: 'community.seerrcatalog',
-    version: '1.1.0',
+    version: '1.2.0',
     name: 'Seerr Catalog',
     description: 'Catalog of media requested through Seerr with availability tracking',
     logo: 'https://raw.githubusercontent.com/seerr-team/seerr/develop/public/logo_full.svg',
 
-    resources: ['catalog', 'meta'],
+    resources: ['catalog', 'meta', 'stream'],
     types: ['movie', 'series'],
 
     idPrefixes: ['tt', 'tmdb:'],
 
-    catalogs: [
+    catalogs: buildCatalogs(),
+
+    behaviorHints: {
+        configurable: false,
+        configurationRequired: false
+    }
+};
+
+/**
+ * Build the catalog list
+ * @param {Object} genres - Genre names per type { movie: [], series: [] } used as genre options
+ * @param {Array} extraCatalogs - Keys of EXTRA_CATALOGS to add after the main catalogs
+ */
+function buildCatalogs(genres = {}, extraCatalogs = []) {
+    const extras = Object.keys(EXTRA_CATALOGS)
+        .filter(key => extraCatalogs.includes(key))
+        .flatMap(key => [
+            {
+                id: `seerr-movies-${key}`,
+                type: 'movie',
+                name: `Seerr Movies - ${EXTRA_CATALOGS[key]}`,
+                extra: buildExtra(genres.movie)
+            },
+            {
+                id: `seerr-series-${key}`,
+                type: 'series',
+                name: `Seerr Series - ${EXTRA_CATALOGS[key]}`,
+                extra: buildExtra(genres.series)
+            }
+        ]);
+
+    return [
         // Main catalogs
         {
             id: 'seerr-movies',
             type: 'movie',
             name: 'Seerr Movies',
-            extra: [
-                { name: 'skip', isRequired: false },
-                { name: 'genre', isRequired: false },
-                { name: 'search', isRequired: false }
-            ]
+            extra: buildExtra(genres.movie)
         },
         {
             id: 'seerr-series',
             type: 'series',
             name: 'Seerr Series',
-            extra: [
-                { name: 'skip', isRequired: false },
-                { name: 'genre', isRequired: false },
-                { name: 'search', isRequired: false }
-            ]
-        }
-    ],
+            extra: buildExtra(genres.series)
+        },
+        ...extras
+    ];
+}
 
-    behaviorHints: {
-        configurable: false,
-        configurationRequired: false
-    }
-};
+function buildExtra(genreOptions) {
+    return [
+        { name: 'skip', isRequired: false },
+        {
+            name: 'genre',
+            isRequired: false,
+            ...(genreOptions && genreOptions.length > 0 && { options: genreOptions })
+        },
+        { name: 'search', isRequired: false },
+        { name: 'sort', isRequired: false, options: Object.values(CATALOG_SORTS) }
+    ];
+}
 
-function getManifest(baseUrl) {
+/**
+ * Get the manifest
+ * @param {string} baseUrl - Public base URL
+ * @param {Object} options - { genres: { movie: [], series: [] } genres present in the catalog, extraCatalogs: [] }
+ */
+function getManifest(baseUrl, options = {}) {
     return {
         ...manifest,
+        catalogs: buildCatalogs(options.genres, options.extraCatalogs),
         ...(baseUrl && { contactEmail: `admin@${new URL(baseUrl).hostname}` })
     };
 }
 
-module.exports = { manifest, getManifest };
+module.exports = { manifest, getManifest, EXTRA_CATALOGS, CATALOG_SORTS };
@@ -0,0 +1,58 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../db');
+const backup = require('../services/backup');
+const { requireAdmin } = require('../auth/session');
+
+const router = express.Router();
+
+// Backups hold every user's data and keys, so admins only
+router.use(requireAdmin);
+
+// List backups
+router.get('/', (req, res) => {
+    res.json({ keep: backup.getBackupKeep(db), backups: backup.listBackups(db) });
+});
+
+// Back up now
+router.post('/', async (req, res) => {
+    try {
+        res.json(await backup.createBackup(db));
+    } catch (e) {
+        console.error('[Backup] Backup failed:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Restore from an uploaded database file (raw request body)
+router.post('/restore', express.raw({ type: () => true, limit: '1gb' }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Upload the database file as the request body' });
+    }
+
+    const upload = path.join(os.tmpdir(), `seerr-catalog-restore-${Date.now()}.db`);
+    try {
+        fs.writeFileSync(upload, req.body);
+        const result = await backup.restoreBackup(upload, db);
+        if (result.error) return res.status(400).json(result);
+        res.json(result);
+    } catch (e) {
+        console.error('[Backup] Restore failed:', e.message);
+        res.status(500).json({ error: e.message });
+    } finally {
+        fs.rmSync(upload, { force: true });
+    }
+});
+
+// Download a backup
+router.get('/:name', (req, res) => {
+    const file = backup.getBackupPath(req.params.name, db);
+    if (!file) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.download(file);
+});
+
+module.exports = router;
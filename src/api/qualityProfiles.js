@@ -0,0 +1,110 @@
+const express = require('express');
+const db = require('../db');
+const { validateScores } = require('../services/releaseScorer');
+const { normalizeRules, validateRules } = require('../services/releaseFilter');
+const { requireAdmin } = require('../auth/session');
+
+const router = express.Router();
+
+// Parse and validate a shared quality profile body
+function readProfileBody(body, current = null) {
+    const profile = {};
+
+    if (body.name !== undefined || !current) {
+        profile.name = String(body.name || '').trim();
+        if (!profile.name) return { error: 'name is required' };
+    }
+    if (body.minScore !== undefined) {
+        profile.minScore = parseInt(body.minScore) || 0;
+    }
+    if (body.scores !== undefined) {
+        const error = validateScores(body.scores);
+        if (error) return { error };
+        profile.scores = body.scores.map(rule => ({ type: rule.type, value: String(rule.value).trim(), score: Number(rule.score) }));
+    }
+    if (body.filters !== undefined) {
+        const error = validateRules(body.filters || {});
+        if (error) return { error };
+        profile.filters = normalizeRules(body.filters || {});
+    }
+    if (body.addonIds !== undefined) {
+        if (!Array.isArray(body.addonIds)) return { error: 'addonIds must be an array' };
+        profile.addonIds = body.addonIds.map(String);
+    }
+    if (body.rootFolder !== undefined) {
+        const rootFolder = body.rootFolder ? String(body.rootFolder).trim().replace(/\/+$/, '') : null;
+        if (rootFolder && !rootFolder.startsWith('/')) {
+            return { error: 'rootFolder must be an absolute path' };
+        }
+        if (rootFolder === '/movies' || rootFolder === '/tv') {
+            return { error: `${rootFolder} is the default root folder` };
+        }
+        const taken = rootFolder && db.getQualityProfileByRootFolder(rootFolder);
+        if (taken && (!current || taken.id !== current.id)) {
+            return { error: `${rootFolder} is already used by "${taken.name}"` };
+        }
+        profile.rootFolder = rootFolder;
+    }
+
+    return { profile };
+}
+
+// Get shared quality profiles
+router.get('/', (req, res) => {
+    res.json(db.getSharedQualityProfiles());
+});
+
+// Create a shared quality profile
+router.post('/', requireAdmin, (req, res) => {
+    const { profile, error } = readProfileBody(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const created = db.createQualityProfile(null, profile);
+    if (req.body.isDefault) {
+        db.setDefaultQualityProfile(created.id);
+    }
+
+    console.log(`[QualityProfiles] Created "${created.name}"`);
+    res.status(201).json(db.getQualityProfile(created.id));
+});
+
+// Update a shared quality profile
+router.put('/:id', requireAdmin, (req, res) => {
+    const current = db.getQualityProfile(parseInt(req.params.id));
+    if (!current || current.user_id !== null) {
+        return res.status(404).json({ error: 'Quality profile not found' });
+    }
+
+    const { profile, error } = readProfileBody(req.body, current);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    db.updateQualityProfile(current.id, profile);
+    if (req.body.isDefault) {
+        db.setDefaultQualityProfile(current.id);
+    }
+
+    res.json(db.getQualityProfile(current.id));
+});
+
+// Delete a shared quality profile
+router.delete('/:id', requireAdmin, (req, res) => {
+    const profile = db.getQualityProfile(parseInt(req.params.id));
+    if (!profile || profile.user_id !== null) {
+        return res.status(404).json({ error: 'Quality profile not found' });
+    }
+
+    // Media would silently lose their rules without a default to fall back on
+    if (profile.is_default) {
+        return res.status(400).json({ error: 'Set another default profile before deleting this one' });
+    }
+
+    db.deleteQualityProfile(profile.id);
+    console.log(`[QualityProfiles] Deleted "${profile.name}"`);
+    res.json({ success: true });
+});
+
+module.exports = router;
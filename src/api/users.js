@@ -175,8 +175,12 @@ router.get('/:id/stremio/addons', async (req, res) => {
 
     try {
         const { getInstalledAddons } = require('../services/stremio');
+        const { getAddonHealthSummary } = require('../services/addonHealth');
         const addons = await getInstalledAddons(user.stremio_auth_key);
-        res.json({ addons });
+        const health = getAddonHealthSummary(id, db);
+        res.json({
+            addons: addons.map(addon => ({ ...addon, health: health[addon.id] || null }))
+        });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
@@ -281,7 +285,7 @@ router.get('/:id/stremio/selected-addons', (req, res) => {
     res.json({ selectedAddons });
 });
 
-// Save stream filter preferences (language tags + resolution)
+// Save stream filter rules (language tags, resolution, terms, regex, size)
 router.put('/:id/stream-filters', (req, res) => {
     const id = parseInt(req.params.id);
     const { languageTags, minResolution } = req.body;
@@ -291,23 +295,41 @@ router.put('/:id/stream-filters', (req, res) => {
         return res.status(404).json({ error: 'User not found' });
     }
 
-    // Validate language tags (max 2)
-    if (languageTags && (!Array.isArray(languageTags) || languageTags.length > 2)) {
-        return res.status(400).json({ error: 'languageTags must be an array with max 2 items' });
+    if (languageTags && !Array.isArray(languageTags)) {
+        return res.status(400).json({ error: 'languageTags must be an array' });
     }
-
-    // Save preferences
-    if (languageTags) {
-        db.setSetting(`stream_filter_languages_${id}`, JSON.stringify(languageTags));
+    for (const field of ['mustContain', 'mustNotContain', 'mustMatch', 'mustNotMatch']) {
+        if (req.body[field] !== undefined && !Array.isArray(req.body[field])) {
+            return res.status(400).json({ error: `${field} must be an array` });
+        }
     }
-    if (minResolution !== undefined) {
-        db.setSetting(`stream_filter_resolution_${id}`, minResolution || null);
+
+    const { normalizeRules, validateRules } = require('../services/releaseFilter');
+    const { getUserStreamPreferences } = require('../services/streamChecker');
+
+    // Fields not sent keep their current value
+    const rules = normalizeRules({ ...getUserStreamPreferences(id, db).filterPrefs, ...req.body });
+    const error = validateRules(rules);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    res.json({ success: true, languageTags, minResolution });
+    // Language tags and resolution keep their own settings (used by Discord notifications too)
+    db.setSetting(`stream_filter_languages_${id}`, JSON.stringify(rules.languageTags));
+    db.setSetting(`stream_filter_resolution_${id}`, rules.minResolution);
+    db.setSetting(`stream_filter_rules_${id}`, JSON.stringify({
+        mustContain: rules.mustContain,
+        mustNotContain: rules.mustNotContain,
+        mustMatch: rules.mustMatch,
+        mustNotMatch: rules.mustNotMatch,
+        minSizeGB: rules.minSizeGB,
+        maxSizeGB: rules.maxSizeGB
+    }));
+
+    res.json({ success: true, ...rules });
 });
 
-// Get stream filter preferences
+// Get stream filter rules
 router.get('/:id/stream-filters', (req, res) => {
     const id = parseInt(req.params.id);
 
@@ -316,18 +338,154 @@ router.get('/:id/stream-filters', (req, res) => {
         return res.status(404).json({ error: 'User not found' });
     }
 
-    const languageTagsJson = db.getSetting(`stream_filter_languages_${id}`);
-    const minResolution = db.getSetting(`stream_filter_resolution_${id}`);
+    const { getUserStreamPreferences } = require('../services/streamChecker');
+    res.json(getUserStreamPreferences(id, db).filterPrefs);
+});
+
+// Parse and validate a quality profile body
+function readQualityProfileBody(body, current = {}) {
+    const { validateScores } = require('../services/releaseScorer');
+
+    const profile = {
+        name: body.name !== undefined ? String(body.name).trim() : current.name,
+        minScore: body.minScore !== undefined ? parseInt(body.minScore) || 0 : (current.min_score || 0),
+        scores: body.scores !== undefined ? body.scores : (current.scores || [])
+    };
+
+    if (!profile.name) {
+        return { error: 'name is required' };
+    }
+    const error = validateScores(profile.scores);
+    if (error) {
+        return { error };
+    }
+
+    profile.scores = profile.scores.map(rule => ({
+        type: rule.type,
+        value: String(rule.value).trim(),
+        score: Number(rule.score)
+    }));
+    return { profile };
+}
+
+// Get quality profiles usable by a user (shared ones and their own) and their default
+router.get('/:id/quality-profiles', (req, res) => {
+    const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
 
+    const defaultId = db.getSetting(`quality_profile_default_${id}`);
     res.json({
-        languageTags: languageTagsJson ? JSON.parse(languageTagsJson) : [],
-        minResolution: minResolution || null
+        profiles: db.getQualityProfilesForUser(id),
+        defaultProfileId: defaultId ? parseInt(defaultId) : null
     });
 });
 
-// Save auto-cleanup preference
+// Set the profile used when Jellyseerr didn't pick one
+router.put('/:id/quality-profiles/default', (req, res) => {
+    const id = parseInt(req.params.id);
+    const { profileId } = req.body;
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (profileId) {
+        const profile = db.getQualityProfile(parseInt(profileId));
+        if (!profile || (profile.user_id !== null && profile.user_id !== id)) {
+            return res.status(404).json({ error: 'Quality profile not found' });
+        }
+    }
+
+    db.setSetting(`quality_profile_default_${id}`, profileId ? String(profileId) : null);
+    res.json({ success: true, defaultProfileId: profileId ? parseInt(profileId) : null });
+});
+
+// Create a quality profile owned by the user
+router.post('/:id/quality-profiles', (req, res) => {
+    const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { profile, error } = readQualityProfileBody(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    res.status(201).json(db.createQualityProfile(id, profile));
+});
+
+// Update one of the user's quality profiles
+router.put('/:id/quality-profiles/:profileId', (req, res) => {
+    const id = parseInt(req.params.id);
+    const current = db.getQualityProfile(parseInt(req.params.profileId));
+
+    // Shared profiles can't be edited from a user's settings
+    if (!current || current.user_id !== id) {
+        return res.status(404).json({ error: 'Quality profile not found' });
+    }
+
+    const { profile, error } = readQualityProfileBody(req.body, current);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    res.json(db.updateQualityProfile(current.id, profile));
+});
+
+// Delete one of the user's quality profiles
+router.delete('/:id/quality-profiles/:profileId', (req, res) => {
+    const id = parseInt(req.params.id);
+    const profile = db.getQualityProfile(parseInt(req.params.profileId));
+
+    if (!profile || profile.user_id !== id) {
+        return res.status(404).json({ error: 'Quality profile not found' });
+    }
+
+    db.deleteQualityProfile(profile.id);
+    if (db.getSetting(`quality_profile_default_${id}`) === String(profile.id)) {
+        db.setSetting(`quality_profile_default_${id}`, null);
+    }
+    res.json({ success: true });
+});
+
+// Save auto-cleanup preferences (enabled, graceDays, action, watchedThreshold; missing fields are left unchanged)
 router.put('/:id/auto-cleanup', (req, res) => {
     const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { saveCleanupSettings, getCleanupSettings } = require('../services/cleanupPolicy');
+    saveCleanupSettings(id, req.body || {}, db);
+    res.json({ success: true, ...getCleanupSettings(id, db) });
+});
+
+// Get auto-cleanup preferences
+router.get('/:id/auto-cleanup', (req, res) => {
+    const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { getCleanupSettings } = require('../services/cleanupPolicy');
+    res.json(getCleanupSettings(id, db));
+});
+
+// Save Stremio library preference (add available items to the user's library)
+router.put('/:id/stremio-library', (req, res) => {
+    const id = parseInt(req.params.id);
     const { enabled } = req.body;
 
     const user = db.getUserById(id);
@@ -335,12 +493,22 @@ router.put('/:id/auto-cleanup', (req, res) => {
         return res.status(404).json({ error: 'User not found' });
     }
 
-    db.setSetting(`auto_cleanup_${id}`, enabled ? 'true' : 'false');
+    db.setSetting(`stremio_library_${id}`, enabled ? 'true' : 'false');
+
+    // Items that are already available are added in the background
+    if (enabled) {
+        const { pushToStremioLibrary } = require('../services/streamChecker');
+        const available = db.getFilteredMedia({ userId: id, available: true, watched: false });
+        (async () => {
+            for (const media of available) await pushToStremioLibrary(media, db);
+        })().catch(console.error);
+    }
+
     res.json({ success: true, enabled });
 });
 
-// Get auto-cleanup preference
-router.get('/:id/auto-cleanup', (req, res) => {
+// Get Stremio library preference
+router.get('/:id/stremio-library', (req, res) => {
     const id = parseInt(req.params.id);
 
     const user = db.getUserById(id);
@@ -348,10 +516,137 @@ router.get('/:id/auto-cleanup', (req, res) => {
         return res.status(404).json({ error: 'User not found' });
     }
 
-    const enabled = db.getSetting(`auto_cleanup_${id}`) === 'true';
+    const enabled = db.getSetting(`stremio_library_${id}`) === 'true';
     res.json({ enabled });
 });
 
+// Save a user's extra Stremio catalogs and default catalog sort
+router.put('/:id/catalogs', (req, res) => {
+    const id = parseInt(req.params.id);
+    const { catalogs, sort } = req.body;
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { EXTRA_CATALOGS, CATALOG_SORTS } = require('../addon/manifest');
+
+    if (catalogs !== undefined) {
+        if (!Array.isArray(catalogs)) {
+            return res.status(400).json({ error: 'catalogs must be an array' });
+        }
+        const unknown = catalogs.filter(key => !EXTRA_CATALOGS[key]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown catalog: ${unknown.join(', ')}` });
+        }
+        db.setSetting(`stremio_catalogs_${id}`, JSON.stringify(catalogs));
+    }
+
+    if (sort !== undefined) {
+        if (sort && !CATALOG_SORTS[sort]) {
+            return res.status(400).json({ error: `Unknown sort: ${sort} (expected ${Object.keys(CATALOG_SORTS).join(', ')})` });
+        }
+        db.setSetting(`catalog_sort_${id}`, sort || null);
+    }
+
+    res.json({ success: true });
+});
+
+// Get the extra Stremio catalogs and sorts, and what a user picked
+router.get('/:id/catalogs', (req, res) => {
+    const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { EXTRA_CATALOGS, CATALOG_SORTS } = require('../addon/manifest');
+    const { getUserExtraCatalogs } = require('../addon/handlers');
+    res.json({
+        available: EXTRA_CATALOGS,
+        catalogs: getUserExtraCatalogs(id),
+        sorts: CATALOG_SORTS,
+        sort: db.getSetting(`catalog_sort_${id}`) || 'added'
+    });
+});
+
+// Export a user's catalog (?format=json, the default, or csv)
+router.get('/:id/export', (req, res) => {
+    const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { exportCatalog, exportCatalogCsv } = require('../services/catalogTransfer');
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    res.attachment(`seerrcatalog-${user.username}.${format}`);
+
+    if (format === 'csv') {
+        return res.type('text/csv').send(exportCatalogCsv(id, db));
+    }
+    res.json(exportCatalog(id, db));
+});
+
+// Import into a user's catalog: the exported file as the request body (?format=json, the default, or csv)
+router.post('/:id/import', express.text({ type: () => true, limit: '50mb' }), async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    const user = db.getUserById(id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { importCatalog, importCatalogCsv } = require('../services/catalogTransfer');
+    try {
+        if (req.query.format === 'csv') {
+            return res.json(await importCatalogCsv(id, String(req.body || ''), db));
+        }
+        res.json(await importCatalog(id, JSON.parse(req.body || ''), db));
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Preview a Letterboxd, IMDb or Trakt export: the file as the request body (?format= to skip detection)
+router.post('/:id/watchlist/preview', express.text({ type: () => true, limit: '50mb' }), async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (!db.getUserById(id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { previewWatchlist } = require('../services/watchlistImport');
+    try {
+        res.json(await previewWatchlist(id, String(req.body || ''), req.query.format || null, db));
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Add the matches picked in the preview to a user's catalog
+router.post('/:id/watchlist/import', express.json({ limit: '50mb' }), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { items } = req.body;
+
+    if (!db.getUserById(id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (!Array.isArray(items)) {
+        return res.status(400).json({ error: 'items must be an array' });
+    }
+
+    const { importWatchlist } = require('../services/watchlistImport');
+    try {
+        res.json(await importWatchlist(id, items, db));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 module.exports = router;
 
 
@@ -37,6 +37,16 @@ function requireAuth(req, res, next) {
     return res.redirect('/login');
 }
 
+/**
+ * Middleware to restrict a route to admins (after requireAuth)
+ */
+function requireAdmin(req, res, next) {
+    if (!req.user || !req.user.is_admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
 /**
  * Login endpoint
  */
@@ -128,6 +138,7 @@ function getCurrentUser(req, res) {
 module.exports = {
     configureSession,
     requireAuth,
+    requireAdmin,
     handleLogin,
     handleLogout,
     getCurrentUser
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrations');
 
 // Ensure data directory exists
 const dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
@@ -9,99 +10,162 @@ if (!fs.existsSync(dataDir)) {
 }
 
 const dbPath = path.join(dataDir, 'seerr-catalog.db');
+const isNewDatabase = !fs.existsSync(dbPath);
 const db = new Database(dbPath);
 
 // Enable WAL mode for better performance
 db.pragma('journal_mode = WAL');
 
-// Initialize schema
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT NOT NULL UNIQUE,
-    password_hash TEXT NOT NULL,
-    display_name TEXT,
-    is_admin INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS settings (
-    key TEXT PRIMARY KEY,
-    value TEXT,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
+/**
+ * Create the tables, apply the migrations and add the default profiles
+ * Run at startup, and on a restored backup before it replaces the live database
+ * @param {Object} database - better-sqlite3 connection
+ * @param {Object} options - { dataDir, isNewDatabase } (see runMigrations)
+ */
+function initSchema(database, options) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      display_name TEXT,
+      is_admin INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      type TEXT NOT NULL CHECK(type IN ('movie', 'series')),
+      tmdb_id INTEGER,
+      imdb_id TEXT,
+      tvdb_id INTEGER,
+      title TEXT NOT NULL,
+      original_title TEXT,
+      year INTEGER,
+      poster TEXT,
+      backdrop TEXT,
+      overview TEXT,
+      genres TEXT,
+      runtime INTEGER,
+      status TEXT DEFAULT 'requested',
+      monitored INTEGER DEFAULT 1,
+      watched INTEGER DEFAULT 0,
+      streams_available INTEGER DEFAULT 0,
+      stream_count INTEGER DEFAULT 0,
+      last_stream_check DATETIME,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      watched_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, type, tmdb_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS episodes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      media_id INTEGER NOT NULL,
+      season_number INTEGER NOT NULL,
+      episode_number INTEGER NOT NULL,
+      title TEXT,
+      overview TEXT,
+      air_date TEXT,
+      monitored INTEGER DEFAULT 1,
+      FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE,
+      UNIQUE(media_id, season_number, episode_number)
+    );
+
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      job_key TEXT,
+      payload TEXT,
+      status TEXT DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'done', 'failed')),
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS addon_health (
+      user_id INTEGER NOT NULL,
+      addon_id TEXT NOT NULL,
+      addon_name TEXT,
+      success_count INTEGER DEFAULT 0,
+      failure_count INTEGER DEFAULT 0,
+      consecutive_failures INTEGER DEFAULT 0,
+      avg_latency_ms INTEGER,
+      last_latency_ms INTEGER,
+      last_error TEXT,
+      last_success_at DATETIME,
+      last_failure_at DATETIME,
+      disabled_until DATETIME,
+      PRIMARY KEY (user_id, addon_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS quality_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      name TEXT NOT NULL,
+      min_score INTEGER DEFAULT 0,
+      scores TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS schedules (
+      name TEXT PRIMARY KEY,
+      last_run_at DATETIME,
+      last_duration_ms INTEGER,
+      last_status TEXT,
+      last_error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_media_type ON media(type);
+    CREATE INDEX IF NOT EXISTS idx_media_tmdb ON media(tmdb_id);
+    CREATE INDEX IF NOT EXISTS idx_media_imdb ON media(imdb_id);
+    CREATE INDEX IF NOT EXISTS idx_media_watched ON media(watched);
+    CREATE INDEX IF NOT EXISTS idx_media_streams ON media(streams_available);
+    CREATE INDEX IF NOT EXISTS idx_media_user ON media(user_id);
+    CREATE INDEX IF NOT EXISTS idx_episodes_media ON episodes(media_id);
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, id);
+  `);
 
-  CREATE TABLE IF NOT EXISTS media (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    type TEXT NOT NULL CHECK(type IN ('movie', 'series')),
-    tmdb_id INTEGER,
-    imdb_id TEXT,
-    tvdb_id INTEGER,
-    title TEXT NOT NULL,
-    original_title TEXT,
-    year INTEGER,
-    poster TEXT,
-    backdrop TEXT,
-    overview TEXT,
-    genres TEXT,
-    runtime INTEGER,
-    status TEXT DEFAULT 'requested',
-    monitored INTEGER DEFAULT 1,
-    watched INTEGER DEFAULT 0,
-    streams_available INTEGER DEFAULT 0,
-    stream_count INTEGER DEFAULT 0,
-    last_stream_check DATETIME,
-    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    watched_at DATETIME,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    UNIQUE(user_id, type, tmdb_id)
-  );
+  // Columns added since the first release (see migrations.js)
+  runMigrations(database, options);
+
+  // Default quality profiles, shared by all users. They keep the IDs of the
+  // old static Radarr/Sonarr list so existing Jellyseerr settings still match.
+  if (database.prepare('SELECT COUNT(*) as count FROM quality_profiles').get().count === 0) {
+    const insertProfile = database.prepare(`
+      INSERT INTO quality_profiles (id, user_id, name, min_score, scores, filters, is_default) VALUES (?, NULL, ?, 0, ?, ?, ?)
+    `);
+    insertProfile.run(1, 'Any', JSON.stringify([]), JSON.stringify({}), 1);
+    insertProfile.run(2, 'HD-1080p', JSON.stringify([
+      { type: 'resolution', value: '1080p', score: 20 },
+      { type: 'resolution', value: '2160p', score: 10 },
+      { type: 'source', value: 'CAM', score: -100 }
+    ]), JSON.stringify({ minResolution: '1080p' }), 0);
+    insertProfile.run(3, '4K', JSON.stringify([
+      { type: 'hdr', value: 'DV', score: 10 },
+      { type: 'hdr', value: 'HDR10+', score: 10 },
+      { type: 'hdr', value: 'HDR10', score: 5 }
+    ]), JSON.stringify({ minResolution: '2160p' }), 0);
+  }
+}
 
-  CREATE TABLE IF NOT EXISTS episodes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    media_id INTEGER NOT NULL,
-    season_number INTEGER NOT NULL,
-    episode_number INTEGER NOT NULL,
-    title TEXT,
-    overview TEXT,
-    air_date TEXT,
-    monitored INTEGER DEFAULT 1,
-    FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE,
-    UNIQUE(media_id, season_number, episode_number)
-  );
+initSchema(db, { dataDir, isNewDatabase });
 
-  CREATE INDEX IF NOT EXISTS idx_media_type ON media(type);
-  CREATE INDEX IF NOT EXISTS idx_media_tmdb ON media(tmdb_id);
-  CREATE INDEX IF NOT EXISTS idx_media_imdb ON media(imdb_id);
-  CREATE INDEX IF NOT EXISTS idx_media_watched ON media(watched);
-  CREATE INDEX IF NOT EXISTS idx_media_streams ON media(streams_available);
-  CREATE INDEX IF NOT EXISTS idx_media_user ON media(user_id);
-  CREATE INDEX IF NOT EXISTS idx_episodes_media ON episodes(media_id);
-  CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-`);
-
-// Migration: Add new columns to existing tables
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN jellyfin_id TEXT`);
-} catch (e) { /* Column already exists */ }
-
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN stremio_auth_key TEXT`);
-} catch (e) { /* Column already exists */ }
-
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN last_login DATETIME`);
-} catch (e) { /* Column already exists */ }
-
-try {
-  db.exec(`ALTER TABLE episodes ADD COLUMN watched INTEGER DEFAULT 0`);
-} catch (e) { /* Column already exists */ }
-
-// Migration: Add new columns to existing tables
-try {
-  db.exec(`ALTER TABLE media ADD COLUMN streams_detail TEXT`);
-} catch (e) { /* Column already exists */ }
+// Condition for media shown in catalogs, emulated APIs and background jobs (archived and deleted items are left out)
+const ACTIVE_MEDIA = 'archived_at IS NULL AND deleted_at IS NULL';
 
 // Password hashing function (used by user management)
 const bcrypt = require('bcrypt');
@@ -129,19 +193,22 @@ const statements = {
   // Media statements (updated with user_id)
   insertMedia: db.prepare(`
     INSERT OR REPLACE INTO media 
-    (user_id, type, tmdb_id, imdb_id, tvdb_id, title, original_title, year, poster, backdrop, overview, genres, runtime, status, monitored)
-    VALUES (@user_id, @type, @tmdb_id, @imdb_id, @tvdb_id, @title, @original_title, @year, @poster, @backdrop, @overview, @genres, @runtime, @status, @monitored)
+    (user_id, type, tmdb_id, imdb_id, tvdb_id, title, original_title, year, poster, backdrop, overview, genres, runtime, rating, status, monitored, quality_profile_id)
+    VALUES (@user_id, @type, @tmdb_id, @imdb_id, @tvdb_id, @title, @original_title, @year, @poster, @backdrop, @overview, @genres, @runtime, @rating, @status, @monitored, @quality_profile_id)
   `),
 
   getMediaById: db.prepare('SELECT * FROM media WHERE id = ?'),
+  getActiveMediaById: db.prepare(`SELECT * FROM media WHERE id = ? AND ${ACTIVE_MEDIA}`),
   // ... other statements ...
-  getMediaByTmdb: db.prepare('SELECT * FROM media WHERE type = ? AND tmdb_id = ? AND (user_id = ? OR user_id IS NULL)'),
-  getMediaByImdb: db.prepare('SELECT * FROM media WHERE imdb_id = ?'),
+  getMediaByTmdb: db.prepare(`SELECT * FROM media WHERE type = ? AND tmdb_id = ? AND (user_id = ? OR user_id IS NULL) AND ${ACTIVE_MEDIA}`),
+  getMediaByImdb: db.prepare(`SELECT * FROM media WHERE imdb_id = ? AND ${ACTIVE_MEDIA}`),
+  getMediaByImdbAndUser: db.prepare(`SELECT * FROM media WHERE imdb_id = ? AND user_id = ? AND ${ACTIVE_MEDIA}`),
   getAllMedia: db.prepare('SELECT * FROM media ORDER BY added_at DESC'),
-  getMediaByType: db.prepare('SELECT * FROM media WHERE type = ? ORDER BY added_at DESC'),
+  getMediaByType: db.prepare(`SELECT * FROM media WHERE type = ? AND ${ACTIVE_MEDIA} ORDER BY added_at DESC`),
   getMediaByUser: db.prepare('SELECT * FROM media WHERE user_id = ? ORDER BY added_at DESC'),
   getMediaByUserAndType: db.prepare('SELECT * FROM media WHERE user_id = ? AND type = ? ORDER BY added_at DESC'),
-  deleteMedia: db.prepare('DELETE FROM media WHERE id = ?'),
+  deleteMedia: db.prepare('UPDATE media SET deleted_at = ? WHERE id = ?'),
+  restoreMedia: db.prepare('UPDATE media SET deleted_at = NULL WHERE id = ?'),
   updateStatus: db.prepare('UPDATE media SET status = ? WHERE id = ?'),
 
   insertEpisode: db.prepare(`
@@ -150,6 +217,15 @@ const statements = {
     VALUES (@media_id, @season_number, @episode_number, @title, @overview, @air_date, @monitored)
   `),
 
+  // Refresh metadata without touching monitored/watched/stream status
+  upsertEpisodeMetadata: db.prepare(`
+    INSERT INTO episodes 
+    (media_id, season_number, episode_number, title, overview, air_date, monitored)
+    VALUES (@media_id, @season_number, @episode_number, @title, @overview, @air_date, @monitored)
+    ON CONFLICT(media_id, season_number, episode_number) DO UPDATE SET
+      title = excluded.title, overview = excluded.overview, air_date = excluded.air_date
+  `),
+
   getEpisodes: db.prepare('SELECT * FROM episodes WHERE media_id = ? ORDER BY season_number, episode_number'),
 };
 
@@ -169,8 +245,10 @@ function addMedia(data) {
     overview: data.overview || null,
     genres: data.genres ? JSON.stringify(data.genres) : null,
     runtime: data.runtime || null,
+    rating: data.rating ?? null,
     status: data.status || 'requested',
-    monitored: data.monitored !== false ? 1 : 0
+    monitored: data.monitored !== false ? 1 : 0,
+    quality_profile_id: data.quality_profile_id || null
   });
   return getMediaById(info.lastInsertRowid);
 }
@@ -180,6 +258,7 @@ function parseMediaFields(media) {
   if (!media) return media;
   if (media.genres && typeof media.genres === 'string') media.genres = JSON.parse(media.genres);
   if (media.streams_detail && typeof media.streams_detail === 'string') media.streams_detail = JSON.parse(media.streams_detail);
+  if (media.tags && typeof media.tags === 'string') media.tags = JSON.parse(media.tags);
   return media;
 }
 
@@ -188,14 +267,33 @@ function getMediaById(id) {
   return parseMediaFields(media);
 }
 
+// Same as getMediaById, but archived and deleted items are not found
+function getActiveMediaById(id) {
+  const media = statements.getActiveMediaById.get(id);
+  return parseMediaFields(media);
+}
+
+// A user's item whatever its state (archived, in the trash), by TMDB ID, else IMDB ID, else TVDB ID
+function findUserMedia(userId, { type, tmdbId = null, imdbId = null, tvdbId = null }) {
+  const ids = [['tmdb_id', tmdbId], ['imdb_id', imdbId], ['tvdb_id', tvdbId]];
+  for (const [column, value] of ids) {
+    if (!value) continue;
+    const media = db.prepare(`SELECT * FROM media WHERE user_id = ? AND type = ? AND ${column} = ?`).get(userId, type, value);
+    if (media) return parseMediaFields(media);
+  }
+  return null;
+}
+
 function getMediaByTmdb(type, tmdbId, userId = null) {
   const media = statements.getMediaByTmdb.get(type, tmdbId, userId);
   return parseMediaFields(media);
 }
 
 // Restored functions
-function getMediaByImdb(imdbId) {
-  const media = statements.getMediaByImdb.get(imdbId);
+function getMediaByImdb(imdbId, userId = null) {
+  const media = userId !== null
+    ? statements.getMediaByImdbAndUser.get(imdbId, userId)
+    : statements.getMediaByImdb.get(imdbId);
   return parseMediaFields(media);
 }
 
@@ -207,8 +305,26 @@ function getMediaByType(type) {
   return statements.getMediaByType.all(type).map(m => parseMediaFields(m));
 }
 
+// Moves the item to the trash (see purgeMedia)
 function deleteMedia(id) {
-  return statements.deleteMedia.run(id);
+  return statements.deleteMedia.run(new Date().toISOString(), id);
+}
+
+function restoreMedia(id) {
+  statements.restoreMedia.run(id);
+  return getMediaById(id);
+}
+
+// Deletes the item and its episodes for good
+const purgeMedia = db.transaction((id) => {
+  db.prepare('DELETE FROM episodes WHERE media_id = ?').run(id);
+  return db.prepare('DELETE FROM media WHERE id = ?').run(id);
+});
+
+function purgeDeletedMedia(deletedBefore) {
+  const ids = db.prepare('SELECT id FROM media WHERE deleted_at < ?').all(deletedBefore).map(row => row.id);
+  ids.forEach(id => purgeMedia(id));
+  return ids.length;
 }
 
 function updateStatus(id, status) {
@@ -227,23 +343,60 @@ function addEpisode(data) {
   });
 }
 
+function upsertEpisodeMetadata(data) {
+  return statements.upsertEpisodeMetadata.run({
+    media_id: data.media_id,
+    season_number: data.season_number,
+    episode_number: data.episode_number,
+    title: data.title || null,
+    overview: data.overview || null,
+    air_date: data.air_date || null,
+    monitored: data.monitored !== false ? 1 : 0
+  });
+}
+
+// Helper to parse episode JSON fields
+function parseEpisodeFields(episode) {
+  if (!episode) return episode;
+  if (episode.streams_detail && typeof episode.streams_detail === 'string') episode.streams_detail = JSON.parse(episode.streams_detail);
+  return episode;
+}
+
 function getEpisodes(mediaId) {
-  return statements.getEpisodes.all(mediaId);
+  return statements.getEpisodes.all(mediaId).map(e => parseEpisodeFields(e));
+}
+
+function setSeasonMonitored(mediaId, seasonNumber, monitored) {
+  return db.prepare('UPDATE episodes SET monitored = ? WHERE media_id = ? AND season_number = ?')
+    .run(monitored ? 1 : 0, mediaId, seasonNumber);
+}
+
+function deleteSeasonEpisodes(mediaId, seasonNumber) {
+  return db.prepare('DELETE FROM episodes WHERE media_id = ? AND season_number = ?').run(mediaId, seasonNumber);
+}
+
+function updateEpisodeStreamStatus(id, available, streamCount, lastChecked, details = null) {
+  db.prepare(`
+    UPDATE episodes 
+    SET streams_available = ?, stream_count = ?, last_stream_check = ?, streams_detail = ?
+    WHERE id = ?
+  `).run(available ? 1 : 0, streamCount, lastChecked, details ? JSON.stringify(details) : null, id);
 }
 
 function countMedia() {
-  const movies = db.prepare('SELECT COUNT(*) as count FROM media WHERE type = ?').get('movie').count;
-  const series = db.prepare('SELECT COUNT(*) as count FROM media WHERE type = ?').get('series').count;
-  const watched = db.prepare('SELECT COUNT(*) as count FROM media WHERE watched = 1').get().count;
-  const available = db.prepare('SELECT COUNT(*) as count FROM media WHERE streams_available = 1').get().count;
-  const unavailable = db.prepare('SELECT COUNT(*) as count FROM media WHERE streams_available = 0').get().count;
+  const movies = db.prepare(`SELECT COUNT(*) as count FROM media WHERE type = ? AND ${ACTIVE_MEDIA}`).get('movie').count;
+  const series = db.prepare(`SELECT COUNT(*) as count FROM media WHERE type = ? AND ${ACTIVE_MEDIA}`).get('series').count;
+  const watched = db.prepare(`SELECT COUNT(*) as count FROM media WHERE watched = 1 AND ${ACTIVE_MEDIA}`).get().count;
+  const available = db.prepare(`SELECT COUNT(*) as count FROM media WHERE streams_available = 1 AND ${ACTIVE_MEDIA}`).get().count;
+  const unavailable = db.prepare(`SELECT COUNT(*) as count FROM media WHERE streams_available = 0 AND ${ACTIVE_MEDIA}`).get().count;
 
   return { movies, series, watched, available, unavailable, total: movies + series };
 }
 
 function markAsWatched(id, deleteAfter = false) {
+  // Keep the first watched date (auto-cleanup grace period counts from it)
   const now = new Date().toISOString();
-  db.prepare('UPDATE media SET watched = 1, watched_at = ? WHERE id = ?').run(now, id);
+  db.prepare('UPDATE media SET watched = 1, watched_at = COALESCE(watched_at, ?) WHERE id = ?').run(now, id);
 
   if (deleteAfter) {
     return deleteMedia(id);
@@ -256,20 +409,121 @@ function markAsUnwatched(id) {
   return getMediaById(id);
 }
 
+// Watched state and dates carried over from another instance (catalog import)
+function updateMediaHistory(id, { watched, watchedAt, addedAt, archivedAt }) {
+  db.prepare(`
+    UPDATE media SET watched = ?, watched_at = ?, added_at = COALESCE(?, added_at), archived_at = ? WHERE id = ?
+  `).run(watched ? 1 : 0, watched ? (watchedAt || new Date().toISOString()) : null, addedAt || null, archivedAt || null, id);
+  return getMediaById(id);
+}
+
+function archiveMedia(id) {
+  db.prepare('UPDATE media SET archived_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  return getMediaById(id);
+}
+
+// Restored items and their episodes are unwatched again, so cleanup doesn't archive them right away;
+// restored_at lets the watched sync ignore what Stremio recorded before the restore
+const unarchiveMedia = db.transaction((id) => {
+  db.prepare('UPDATE media SET archived_at = NULL, watched = 0, watched_at = NULL, restored_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  db.prepare('UPDATE episodes SET watched = 0 WHERE media_id = ?').run(id);
+  return getMediaById(id);
+});
+
 function updateStreamStatus(id, available, streamCount, lastChecked, details = null) {
+  // available_at keeps the date streams were first found, until they disappear
   db.prepare(`
     UPDATE media 
-    SET streams_available = ?, stream_count = ?, last_stream_check = ?, streams_detail = ?
+    SET streams_available = ?, stream_count = ?, last_stream_check = ?, streams_detail = ?,
+        available_at = CASE WHEN ? = 0 THEN NULL WHEN streams_available = 1 AND available_at IS NOT NULL THEN available_at ELSE ? END
     WHERE id = ?
-  `).run(available ? 1 : 0, streamCount, lastChecked, details ? JSON.stringify(details) : null, id);
+  `).run(available ? 1 : 0, streamCount, lastChecked, details ? JSON.stringify(details) : null, available ? 1 : 0, lastChecked, id);
+  return getMediaById(id);
+}
+
+function setInStremioLibrary(id, inLibrary) {
+  db.prepare('UPDATE media SET in_stremio_library = ? WHERE id = ?').run(inLibrary ? 1 : 0, id);
+}
+
+// A rating of 0 (no votes on TMDB) is kept: only NULL means it was never fetched
+function updateMediaRating(id, rating) {
+  db.prepare('UPDATE media SET rating = ? WHERE id = ?').run(rating ?? null, id);
+}
+
+// Items whose TMDB rating was never fetched (catalog sort), not looked up in the last `retryDays`,
+// never looked up first
+function getMediaWithoutRating(limit, retryDays) {
+  const query = db.prepare(`
+    SELECT * FROM media
+    WHERE rating IS NULL AND tmdb_id IS NOT NULL AND ${ACTIVE_MEDIA}
+      AND (rating_checked_at IS NULL OR rating_checked_at <= datetime('now', ?))
+    ORDER BY rating_checked_at IS NOT NULL, rating_checked_at, id
+    LIMIT ?
+  `);
+  return query.all(`-${retryDays} days`, limit).map(m => parseMediaFields(m));
+}
+
+function markRatingChecked(id) {
+  db.prepare(`UPDATE media SET rating_checked_at = datetime('now') WHERE id = ?`).run(id);
+}
+
+// Request options from Radarr/Sonarr updates
+function updateMediaRequest(id, { monitored, qualityProfileId, tags }) {
+  db.prepare('UPDATE media SET monitored = ?, quality_profile_id = ?, tags = ? WHERE id = ?')
+    .run(monitored ? 1 : 0, qualityProfileId || null, tags ? JSON.stringify(tags) : null, id);
   return getMediaById(id);
 }
 
+function updateRecheckState(id, attempts, nextCheckAt) {
+  db.prepare('UPDATE media SET check_attempts = ?, next_check_at = ? WHERE id = ?').run(attempts, nextCheckAt, id);
+}
+
+function updateReleaseDates(id, { theatrical, digital, physical }) {
+  db.prepare('UPDATE media SET theatrical_release = ?, digital_release = ?, physical_release = ? WHERE id = ?')
+    .run(theatrical || null, digital || null, physical || null, id);
+}
+
+function getMediaByStatus(status) {
+  const query = db.prepare(`SELECT * FROM media WHERE status = ? AND ${ACTIVE_MEDIA} ORDER BY added_at DESC`);
+  return query.all(status).map(m => parseMediaFields(m));
+}
+
 function getMediaByAvailability(available) {
-  const query = db.prepare('SELECT * FROM media WHERE streams_available = ? ORDER BY added_at DESC');
+  const query = db.prepare(`SELECT * FROM media WHERE streams_available = ? AND ${ACTIVE_MEDIA} ORDER BY added_at DESC`);
   return query.all(available ? 1 : 0).map(m => parseMediaFields(m));
 }
 
+function updateAiringStatus(id, airingStatus) {
+  db.prepare('UPDATE media SET airing_status = ? WHERE id = ?').run(airingStatus, id);
+}
+
+function getAiringSeries() {
+  // Unknown status counts as airing until the first refresh tells us otherwise
+  const query = db.prepare(`
+    SELECT * FROM media 
+    WHERE type = 'series' AND tmdb_id IS NOT NULL
+      AND (airing_status IS NULL OR airing_status NOT IN ('Ended', 'Canceled'))
+      AND ${ACTIVE_MEDIA}
+    ORDER BY added_at DESC
+  `);
+  return query.all().map(m => parseMediaFields(m));
+}
+
+function getPartiallyAvailableSeries() {
+  // Series with streams for some episodes but monitored episodes still missing
+  const query = db.prepare(`
+    SELECT * FROM media 
+    WHERE type = 'series' AND streams_available = 1 AND ${ACTIVE_MEDIA}
+      AND EXISTS (
+        SELECT 1 FROM episodes 
+        WHERE episodes.media_id = media.id AND episodes.monitored = 1 AND episodes.streams_available = 0
+          AND (episodes.air_date IS NULL OR episodes.air_date <= date('now'))
+      )
+    ORDER BY added_at DESC
+  `);
+  return query.all().map(m => parseMediaFields(m));
+}
+
 function getWatchedMedia() {
   const query = db.prepare('SELECT * FROM media WHERE watched = 1 ORDER BY watched_at DESC');
   return query.all().map(m => parseMediaFields(m));
@@ -281,19 +535,39 @@ function getUnwatchedMedia() {
 }
 
 function getMediaNeedingStreamCheck() {
-  // Get media that hasn't been checked in 24 hours or never checked
+  // Released, monitored, not abandoned, and never checked or unavailable and due (next_check_at from the recheck policy, else 24h after the last check)
+  const now = new Date().toISOString();
   const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
   const query = db.prepare(`
     SELECT * FROM media 
-    WHERE last_stream_check IS NULL 
-       OR (streams_available = 0 AND last_stream_check < ?)
+    WHERE status NOT IN ('abandoned', 'waiting_release') AND monitored = 1 AND ${ACTIVE_MEDIA} AND (
+      last_stream_check IS NULL
+       OR (streams_available = 0 AND (
+         next_check_at <= ? OR (next_check_at IS NULL AND last_stream_check < ?)
+       ))
+    )
     ORDER BY last_stream_check ASC NULLS FIRST
   `);
-  return query.all(oneDayAgo).map(m => parseMediaFields(m));
+  return query.all(now, oneDayAgo).map(m => parseMediaFields(m));
 }
 
+// Sort orders for getFilteredMedia (filters.sort); missing values come last
+const MEDIA_SORT_ORDERS = {
+  added: 'added_at DESC',
+  available: 'available_at DESC, added_at DESC',
+  watched: 'watched_at DESC, added_at DESC',
+  year: 'year DESC, added_at DESC',
+  title: 'title COLLATE NOCASE ASC',
+  rating: 'rating DESC, added_at DESC',
+  streams: 'stream_count DESC, added_at DESC'
+};
+
 function getFilteredMedia(filters = {}) {
-  let conditions = [];
+  // Archived items (filters.archived) and the trash (filters.deleted) only when asked for
+  let conditions;
+  if (filters.deleted) conditions = ['deleted_at IS NOT NULL'];
+  else if (filters.archived) conditions = ['deleted_at IS NULL', 'archived_at IS NOT NULL'];
+  else conditions = [ACTIVE_MEDIA];
   let params = [];
 
   if (filters.userId !== undefined) {
@@ -312,18 +586,60 @@ function getFilteredMedia(filters = {}) {
     conditions.push('streams_available = ?');
     params.push(filters.available ? 1 : 0);
   }
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.excludeStatus) {
+    conditions.push('status != ?');
+    params.push(filters.excludeStatus);
+  }
+  if (filters.availableSince) {
+    conditions.push('available_at >= ?');
+    params.push(filters.availableSince);
+  }
   if (filters.search) {
     conditions.push('(title LIKE ? OR original_title LIKE ?)');
     const term = `%${filters.search}%`;
     params.push(term, term);
   }
+  if (filters.genre) {
+    // genres is a JSON array of names
+    conditions.push('EXISTS (SELECT 1 FROM json_each(media.genres) WHERE json_each.value = ?)');
+    params.push(filters.genre);
+  }
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  const query = db.prepare(`SELECT * FROM media ${whereClause} ORDER BY added_at DESC`);
+  const orderBy = MEDIA_SORT_ORDERS[filters.sort] || MEDIA_SORT_ORDERS.added;
+
+  const query = db.prepare(`SELECT * FROM media WHERE ${conditions.join(' AND ')} ORDER BY ${orderBy}`);
 
   return query.all(...params).map(m => parseMediaFields(m));
 }
 
+// Distinct genre names present in the catalog (optionally per user/type)
+function getGenres(filters = {}) {
+  let conditions = [`json_each.type = 'text'`, ACTIVE_MEDIA];
+  let params = [];
+
+  if (filters.userId !== undefined) {
+    conditions.push('media.user_id = ?');
+    params.push(filters.userId);
+  }
+  if (filters.type) {
+    conditions.push('media.type = ?');
+    params.push(filters.type);
+  }
+
+  const query = db.prepare(`
+    SELECT DISTINCT json_each.value AS genre
+    FROM media, json_each(media.genres)
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY genre
+  `);
+
+  return query.all(...params).map(row => row.genre);
+}
+
 // User management functions
 function createUser(username, password, displayName = null, isAdmin = false) {
   const info = statements.insertUser.run({
@@ -385,8 +701,201 @@ function updateUserLastLogin(id) {
   return statements.updateUserLastLogin.run(new Date().toISOString(), id);
 }
 
+// Addon health functions
+function getAddonHealth(userId, addonId) {
+  return db.prepare('SELECT * FROM addon_health WHERE user_id = ? AND addon_id = ?').get(userId, addonId);
+}
+
+function getAddonHealthByUser(userId) {
+  return db.prepare('SELECT * FROM addon_health WHERE user_id = ?').all(userId);
+}
+
+function recordAddonSuccess(userId, addonId, addonName, latencyMs) {
+  // Latency is a moving average so one slow answer doesn't dominate
+  db.prepare(`
+    INSERT INTO addon_health (user_id, addon_id, addon_name, success_count, avg_latency_ms, last_latency_ms, last_success_at)
+    VALUES (@userId, @addonId, @addonName, 1, @latency, @latency, @now)
+    ON CONFLICT(user_id, addon_id) DO UPDATE SET
+      addon_name = excluded.addon_name,
+      success_count = success_count + 1,
+      consecutive_failures = 0,
+      avg_latency_ms = CAST(COALESCE(avg_latency_ms * 0.8 + excluded.last_latency_ms * 0.2, excluded.last_latency_ms) AS INTEGER),
+      last_latency_ms = excluded.last_latency_ms,
+      last_success_at = excluded.last_success_at,
+      disabled_until = NULL
+  `).run({ userId, addonId, addonName, latency: latencyMs, now: new Date().toISOString() });
+}
+
+function recordAddonFailure(userId, addonId, addonName, latencyMs, error) {
+  db.prepare(`
+    INSERT INTO addon_health (user_id, addon_id, addon_name, failure_count, consecutive_failures, last_latency_ms, last_error, last_failure_at)
+    VALUES (@userId, @addonId, @addonName, 1, 1, @latency, @error, @now)
+    ON CONFLICT(user_id, addon_id) DO UPDATE SET
+      addon_name = excluded.addon_name,
+      failure_count = failure_count + 1,
+      consecutive_failures = consecutive_failures + 1,
+      last_latency_ms = excluded.last_latency_ms,
+      last_error = excluded.last_error,
+      last_failure_at = excluded.last_failure_at
+  `).run({ userId, addonId, addonName, latency: latencyMs, error, now: new Date().toISOString() });
+  return getAddonHealth(userId, addonId);
+}
+
+function setAddonDisabledUntil(userId, addonId, disabledUntil) {
+  db.prepare('UPDATE addon_health SET disabled_until = ? WHERE user_id = ? AND addon_id = ?').run(disabledUntil, userId, addonId);
+}
+
+// Quality profile functions
+function parseQualityProfile(profile) {
+  if (!profile) return profile;
+  profile.scores = profile.scores ? JSON.parse(profile.scores) : [];
+  profile.filters = profile.filters ? JSON.parse(profile.filters) : {};
+  profile.addon_ids = profile.addon_ids ? JSON.parse(profile.addon_ids) : [];
+  profile.is_default = !!profile.is_default;
+  return profile;
+}
+
+function getQualityProfile(id) {
+  return parseQualityProfile(db.prepare('SELECT * FROM quality_profiles WHERE id = ?').get(id));
+}
+
+function getQualityProfilesForUser(userId) {
+  // Shared profiles (no user) first, then the user's own
+  return db.prepare('SELECT * FROM quality_profiles WHERE user_id IS NULL OR user_id = ? ORDER BY user_id IS NOT NULL, id')
+    .all(userId)
+    .map(parseQualityProfile);
+}
+
+function getSharedQualityProfiles() {
+  return db.prepare('SELECT * FROM quality_profiles WHERE user_id IS NULL ORDER BY id').all().map(parseQualityProfile);
+}
+
+function getDefaultQualityProfile() {
+  return parseQualityProfile(db.prepare('SELECT * FROM quality_profiles WHERE user_id IS NULL AND is_default = 1').get());
+}
+
+function getQualityProfileByRootFolder(rootFolder) {
+  return parseQualityProfile(db.prepare('SELECT * FROM quality_profiles WHERE user_id IS NULL AND root_folder = ?').get(rootFolder));
+}
+
+function createQualityProfile(userId, { name, minScore = 0, scores = [], filters = {}, addonIds = [], rootFolder = null }) {
+  const info = db.prepare(`
+    INSERT INTO quality_profiles (user_id, name, min_score, scores, filters, addon_ids, root_folder) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, name, minScore, JSON.stringify(scores), JSON.stringify(filters), JSON.stringify(addonIds), rootFolder);
+  return getQualityProfile(info.lastInsertRowid);
+}
+
+function updateQualityProfile(id, data) {
+  // Fields not given keep their current value
+  const current = getQualityProfile(id);
+  db.prepare(`
+    UPDATE quality_profiles
+    SET name = ?, min_score = ?, scores = ?, filters = ?, addon_ids = ?, root_folder = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    data.name ?? current.name,
+    data.minScore ?? current.min_score,
+    JSON.stringify(data.scores ?? current.scores),
+    JSON.stringify(data.filters ?? current.filters),
+    JSON.stringify(data.addonIds ?? current.addon_ids),
+    data.rootFolder !== undefined ? data.rootFolder : current.root_folder,
+    id
+  );
+  return getQualityProfile(id);
+}
+
+const setDefaultQualityProfile = db.transaction((id) => {
+  db.prepare('UPDATE quality_profiles SET is_default = 0 WHERE is_default = 1').run();
+  db.prepare('UPDATE quality_profiles SET is_default = 1 WHERE id = ? AND user_id IS NULL').run(id);
+});
+
+function deleteQualityProfile(id) {
+  // Media requested with this profile fall back to the user's default
+  db.prepare('UPDATE media SET quality_profile_id = NULL WHERE quality_profile_id = ?').run(id);
+  db.prepare('DELETE FROM quality_profiles WHERE id = ?').run(id);
+}
+
+// Job queue functions
+function enqueueJob(type, payload = {}, jobKey = null) {
+  // Don't queue the same work twice while it's still pending
+  if (jobKey) {
+    const pending = db.prepare(`
+      SELECT * FROM jobs WHERE type = ? AND job_key = ? AND status IN ('queued', 'running')
+    `).get(type, jobKey);
+    if (pending) return null;
+  }
+
+  const info = db.prepare('INSERT INTO jobs (type, job_key, payload) VALUES (?, ?, ?)')
+    .run(type, jobKey, JSON.stringify(payload));
+  return info.lastInsertRowid;
+}
+
+const claimNextJob = db.transaction(() => {
+  // Jobs waiting to be retried are left for later
+  const job = db.prepare(`
+    SELECT * FROM jobs WHERE status = 'queued' AND (run_after IS NULL OR run_after <= ?) ORDER BY id LIMIT 1
+  `).get(new Date().toISOString());
+  if (!job) return null;
+
+  db.prepare(`UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ? WHERE id = ?`)
+    .run(new Date().toISOString(), job.id);
+  job.attempts++;
+  job.payload = job.payload ? JSON.parse(job.payload) : {};
+  return job;
+});
+
+function finishJob(id, error = null) {
+  db.prepare('UPDATE jobs SET status = ?, last_error = ?, finished_at = ? WHERE id = ?')
+    .run(error ? 'failed' : 'done', error, new Date().toISOString(), id);
+}
+
+// Back in the queue, not picked up before runAfter (ISO date)
+function retryJob(id, error, runAfter) {
+  db.prepare(`UPDATE jobs SET status = 'queued', last_error = ?, run_after = ? WHERE id = ?`).run(error, runAfter, id);
+}
+
+function requeueRunningJobs() {
+  // Jobs interrupted by a restart go back to the queue
+  return db.prepare(`UPDATE jobs SET status = 'queued' WHERE status = 'running'`).run().changes;
+}
+
+// Job counts by status, of all jobs or of the given job IDs
+function getJobStats(ids = null) {
+  const rows = ids
+    ? db.prepare('SELECT status, COUNT(*) as count FROM jobs WHERE id IN (SELECT value FROM json_each(?)) GROUP BY status').all(JSON.stringify(ids))
+    : db.prepare('SELECT status, COUNT(*) as count FROM jobs GROUP BY status').all();
+  const stats = { queued: 0, running: 0, done: 0, failed: 0 };
+  rows.forEach(r => { stats[r.status] = r.count; });
+  return stats;
+}
+
+function purgeFinishedJobs(olderThan) {
+  return db.prepare(`DELETE FROM jobs WHERE status IN ('done', 'failed') AND finished_at < ?`).run(olderThan).changes;
+}
+
+// Scheduled task functions
+function getScheduleRuns() {
+  return db.prepare('SELECT * FROM schedules').all();
+}
+
+function getScheduleRun(name) {
+  return db.prepare('SELECT * FROM schedules WHERE name = ?').get(name);
+}
+
+function recordScheduleRun(name, { startedAt, durationMs, error = null }) {
+  db.prepare(`
+    INSERT INTO schedules (name, last_run_at, last_duration_ms, last_status, last_error)
+    VALUES (@name, @startedAt, @durationMs, @status, @error)
+    ON CONFLICT(name) DO UPDATE SET
+      last_run_at = excluded.last_run_at,
+      last_duration_ms = excluded.last_duration_ms,
+      last_status = excluded.last_status,
+      last_error = excluded.last_error
+  `).run({ name, startedAt, durationMs, status: error ? 'failed' : 'success', error });
+}
+
 function getWatchedMediaByType(type) {
-  const query = db.prepare('SELECT * FROM media WHERE type = ? AND watched = 1 ORDER BY watched_at DESC');
+  const query = db.prepare(`SELECT * FROM media WHERE type = ? AND watched = 1 AND ${ACTIVE_MEDIA} ORDER BY watched_at DESC`);
   return query.all(type).map(m => parseMediaFields(m));
 }
 
@@ -406,40 +915,67 @@ function getMediaByUser(userId) {
 }
 
 function countMediaByUser(userId) {
-  const movies = db.prepare('SELECT COUNT(*) as count FROM media WHERE user_id = ? AND type = ?').get(userId, 'movie').count;
-  const series = db.prepare('SELECT COUNT(*) as count FROM media WHERE user_id = ? AND type = ?').get(userId, 'series').count;
-  const watched = db.prepare('SELECT COUNT(*) as count FROM media WHERE user_id = ? AND watched = 1').get(userId).count;
-  const available = db.prepare('SELECT COUNT(*) as count FROM media WHERE user_id = ? AND streams_available = 1').get(userId).count;
+  const movies = db.prepare(`SELECT COUNT(*) as count FROM media WHERE user_id = ? AND type = ? AND ${ACTIVE_MEDIA}`).get(userId, 'movie').count;
+  const series = db.prepare(`SELECT COUNT(*) as count FROM media WHERE user_id = ? AND type = ? AND ${ACTIVE_MEDIA}`).get(userId, 'series').count;
+  const watched = db.prepare(`SELECT COUNT(*) as count FROM media WHERE user_id = ? AND watched = 1 AND ${ACTIVE_MEDIA}`).get(userId).count;
+  const available = db.prepare(`SELECT COUNT(*) as count FROM media WHERE user_id = ? AND streams_available = 1 AND ${ACTIVE_MEDIA}`).get(userId).count;
 
   return { movies, series, watched, available, total: movies + series };
 }
 
 module.exports = {
   db,
+  dataDir,
+  dbPath,
+  initSchema,
   hashPassword,
   // Media functions
   addMedia,
   getMediaById,
+  getActiveMediaById,
+  findUserMedia,
   getMediaByTmdb,
   getMediaByImdb,
   getAllMedia,
   getMediaByType,
   getMediaByUser,
   deleteMedia,
+  restoreMedia,
+  purgeMedia,
+  purgeDeletedMedia,
   updateStatus,
   addEpisode,
   getEpisodes,
+  setSeasonMonitored,
+  deleteSeasonEpisodes,
+  upsertEpisodeMetadata,
+  updateEpisodeStreamStatus,
+  updateAiringStatus,
+  getAiringSeries,
   countMedia,
   countMediaByUser,
   // Watch/Stream functions
   markAsWatched,
   markAsUnwatched,
+  updateMediaHistory,
+  archiveMedia,
+  unarchiveMedia,
   updateStreamStatus,
+  updateMediaRating,
+  getMediaWithoutRating,
+  markRatingChecked,
+  updateMediaRequest,
+  setInStremioLibrary,
+  updateRecheckState,
+  updateReleaseDates,
+  getMediaByStatus,
   getMediaByAvailability,
+  getPartiallyAvailableSeries,
   getWatchedMedia,
   getUnwatchedMedia,
   getMediaNeedingStreamCheck,
   getFilteredMedia,
+  getGenres,
   // User functions
   createUser,
   getUserById,
@@ -455,6 +991,34 @@ module.exports = {
   getWatchedMediaByType,
   markEpisodeWatched,
   getEpisodesWatchedStatus,
+  // Addon health functions
+  getAddonHealth,
+  getAddonHealthByUser,
+  recordAddonSuccess,
+  recordAddonFailure,
+  setAddonDisabledUntil,
+  // Quality profile functions
+  getQualityProfile,
+  getQualityProfilesForUser,
+  getSharedQualityProfiles,
+  getDefaultQualityProfile,
+  getQualityProfileByRootFolder,
+  createQualityProfile,
+  setDefaultQualityProfile,
+  updateQualityProfile,
+  deleteQualityProfile,
+  // Job queue functions
+  enqueueJob,
+  claimNextJob,
+  finishJob,
+  retryJob,
+  requeueRunningJobs,
+  getJobStats,
+  purgeFinishedJobs,
+  // Scheduled task functions
+  getScheduleRuns,
+  getScheduleRun,
+  recordScheduleRun,
   // Settings functions
   getSetting,
   setSetting,
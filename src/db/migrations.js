@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema migrations
+ * Numbered changes applied in order at startup, each in its own transaction.
+ * Applied versions are recorded in schema_migrations, so each runs once per database.
+ * Append new migrations at the end and never renumber or edit one that shipped.
+ */
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// Databases from before versioned migrations may already have the column
+function addColumn(db, table, column, definition) {
+  if (hasColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+const migrations = [
+  {
+    version: 1,
+    name: 'Jellyfin user id',
+    up: (db) => addColumn(db, 'users', 'jellyfin_id', 'TEXT')
+  },
+  {
+    version: 2,
+    name: 'Stremio auth key per user',
+    up: (db) => addColumn(db, 'users', 'stremio_auth_key', 'TEXT')
+  },
+  {
+    version: 3,
+    name: 'Last login date',
+    up: (db) => addColumn(db, 'users', 'last_login', 'DATETIME')
+  },
+  {
+    version: 4,
+    name: 'Watched episodes',
+    up: (db) => addColumn(db, 'episodes', 'watched', 'INTEGER DEFAULT 0')
+  },
+  {
+    version: 5,
+    name: 'Stream details per media',
+    up: (db) => addColumn(db, 'media', 'streams_detail', 'TEXT')
+  },
+  {
+    version: 6,
+    name: 'Per-episode stream availability',
+    up: (db) => {
+      addColumn(db, 'episodes', 'streams_available', 'INTEGER DEFAULT 0');
+      addColumn(db, 'episodes', 'stream_count', 'INTEGER DEFAULT 0');
+      addColumn(db, 'episodes', 'streams_detail', 'TEXT');
+      addColumn(db, 'episodes', 'last_stream_check', 'DATETIME');
+    }
+  },
+  {
+    version: 7,
+    name: 'TMDB airing status for series (Returning Series, Ended, ...)',
+    up: (db) => addColumn(db, 'media', 'airing_status', 'TEXT')
+  },
+  {
+    version: 8,
+    name: 'Quality profile requested from Jellyseerr',
+    up: (db) => addColumn(db, 'media', 'quality_profile_id', 'INTEGER')
+  },
+  {
+    version: 9,
+    name: 'Recheck backoff (failed checks in a row, next check) and release dates',
+    up: (db) => {
+      addColumn(db, 'media', 'check_attempts', 'INTEGER DEFAULT 0');
+      addColumn(db, 'media', 'next_check_at', 'DATETIME');
+      addColumn(db, 'media', 'digital_release', 'TEXT');
+      addColumn(db, 'media', 'physical_release', 'TEXT');
+    }
+  },
+  {
+    version: 10,
+    name: 'Theatrical release date (for the Radarr status and "waiting for release")',
+    up: (db) => addColumn(db, 'media', 'theatrical_release', 'TEXT')
+  },
+  {
+    version: 11,
+    name: 'TMDB rating (catalog sort)',
+    up: (db) => addColumn(db, 'media', 'rating', 'REAL')
+  },
+  {
+    version: 12,
+    name: "Items we added to the owner's Stremio library (removed again on cleanup)",
+    up: (db) => addColumn(db, 'media', 'in_stremio_library', 'INTEGER DEFAULT 0')
+  },
+  {
+    version: 13,
+    name: 'When streams were first found (for the "Recently available" catalog)',
+    up: (db) => {
+      if (addColumn(db, 'media', 'available_at', 'DATETIME')) {
+        db.exec(`UPDATE media SET available_at = last_stream_check WHERE streams_available = 1`);
+      }
+    }
+  },
+  {
+    version: 14,
+    name: 'Watched items archived by auto-cleanup instead of deleted',
+    up: (db) => addColumn(db, 'media', 'archived_at', 'DATETIME')
+  },
+  {
+    version: 15,
+    name: 'Soft delete (deleted media stay in the trash until purged)',
+    up: (db) => addColumn(db, 'media', 'deleted_at', 'DATETIME')
+  },
+  {
+    version: 16,
+    name: 'Admin profiles carry their own filters, addons and Jellyseerr root folder',
+    up: (db) => {
+      addColumn(db, 'quality_profiles', 'filters', 'TEXT');
+      addColumn(db, 'quality_profiles', 'addon_ids', 'TEXT');
+      addColumn(db, 'quality_profiles', 'root_folder', 'TEXT');
+      addColumn(db, 'quality_profiles', 'is_default', 'INTEGER DEFAULT 0');
+    }
+  },
+  {
+    version: 17,
+    name: 'Radarr/Sonarr tags set by Jellyseerr',
+    up: (db) => addColumn(db, 'media', 'tags', 'TEXT')
+  },
+  {
+    version: 18,
+    name: 'When an item was restored from the archive (older Stremio watched state is ignored)',
+    up: (db) => addColumn(db, 'media', 'restored_at', 'DATETIME')
+  },
+  {
+    version: 19,
+    name: 'Failed jobs wait before their next attempt',
+    up: (db) => addColumn(db, 'jobs', 'run_after', 'DATETIME')
+  },
+  {
+    version: 20,
+    name: 'When a missing TMDB rating was last looked up (the backfill skips it for a while)',
+    up: (db) => addColumn(db, 'media', 'rating_checked_at', 'DATETIME')
+  }
+];
+
+function getSchemaVersion(db) {
+  return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_migrations').get().version;
+}
+
+// Copy of the database as it was before the migrations, in <data dir>/backups
+function backupBeforeMigration(db, dataDir, version) {
+  const backupDir = path.join(dataDir, 'backups');
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `seerr-catalog-v${version}-pre-migration-${stamp}.db`);
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+/**
+ * Apply pending migrations, each in a transaction. A failing migration is rolled back and
+ * stops startup, leaving the database at the last applied version.
+ * @param {Object} db - better-sqlite3 connection
+ * @param {Object} options - { dataDir, isNewDatabase: skip the backup for a database just created }
+ * @returns {number} Schema version after the migrations
+ */
+function runMigrations(db, { dataDir, isNewDatabase = false } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const current = getSchemaVersion(db);
+  const pending = migrations.filter(m => m.version > current);
+  if (pending.length === 0) return current;
+
+  if (!isNewDatabase) {
+    const backupPath = backupBeforeMigration(db, dataDir, current);
+    console.log(`[DB] Backup before migration: ${backupPath}`);
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  for (const migration of pending) {
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (e) {
+      console.error(`[DB] Migration ${migration.version} (${migration.name}) failed:`, e.message);
+      throw e;
+    }
+    console.log(`[DB] Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  return getSchemaVersion(db);
+}
+
+module.exports = {
+  migrations,
+  runMigrations,
+  getSchemaVersion
+};
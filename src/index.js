@@ -3,14 +3,17 @@ const cookieParser = require('cookie-parser');
 const { getRouter } = require('stremio-addon-sdk');
 
 const { getManifest } = require('./addon/manifest');
-const { catalogHandler, metaHandler } = require('./addon/handlers');
+const { catalogHandler, metaHandler, streamHandler, getCatalogGenres, getUserExtraCatalogs } = require('./addon/handlers');
 const radarrRoutes = require('./radarr/routes');
 const sonarrRoutes = require('./sonarr/routes');
 const jellyfinRoutes = require('./jellyfin/routes');
 const webuiRoutes = require('./webui/routes');
 const usersRoutes = require('./api/users');
+const qualityProfilesRoutes = require('./api/qualityProfiles');
+const backupsRoutes = require('./api/backups');
 const db = require('./db');
-const { startBackgroundChecker } = require('./services/streamChecker');
+const { startBackgroundChecker, runStreamCheckJob } = require('./services/streamChecker');
+const { registerJobHandler, startJobQueue } = require('./services/jobQueue');
 const { configureSession, requireAuth, handleLogin, handleLogout, getCurrentUser } = require('./auth/session');
 
 // Environment configuration
@@ -23,7 +26,9 @@ const BASE_URL = process.env.BASE_URL || null;
 const app = express();
 // Trust ALL proxies - important for HTTPS detection behind reverse proxies
 app.set('trust proxy', true);
-app.use(express.json());
+// Catalog and watchlist imports parse their (large) bodies themselves, see api/users.js
+const IMPORT_ROUTES = /^\/api\/users\/\d+\/(import|watchlist\/preview|watchlist\/import)$/;
+app.use(express.json({ type: req => req.is('application/json') && !IMPORT_ROUTES.test(req.path) }));
 app.use(cookieParser());
 
 // Configure session
@@ -94,11 +99,11 @@ app.use('/', (req, res, next) => {
 });
 
 // Stremio Addon (no auth for compatibility)
-const manifest = getManifest(BASE_URL);
+// Manifest is built per request so genre options follow the catalog content
 
 // Manual Stremio routes for more control
 app.get('/manifest.json', (req, res) => {
-    res.json(manifest);
+    res.json(getManifest(BASE_URL, { genres: getCatalogGenres() }));
 });
 
 app.get('/catalog/:type/:id.json', async (req, res) => {
@@ -110,6 +115,7 @@ app.get('/catalog/:type/:id.json', async (req, res) => {
         if (req.query.skip) extra.skip = req.query.skip;
         if (req.query.genre) extra.genre = req.query.genre;
         if (req.query.search) extra.search = req.query.search;
+        if (req.query.sort) extra.sort = req.query.sort;
 
         const result = await catalogHandler({ type, id, extra });
         res.json(result);
@@ -151,6 +157,11 @@ app.get('/meta/:type/:id.json', async (req, res) => {
     }
 });
 
+// Streams come from a user's own addons: only served by the user routes
+app.get('/stream/:type/:id.json', (req, res) => {
+    res.json({ streams: [] });
+});
+
 // === USER-SPECIFIC STREMIO ADDON ROUTES ===
 // Each user gets their own manifest and catalog filtered by their user_id
 
@@ -164,7 +175,7 @@ app.get('/user/:userId/manifest.json', (req, res) => {
 
     // Generate user-specific manifest
     const userManifest = {
-        ...manifest,
+        ...getManifest(BASE_URL, { genres: getCatalogGenres(userId), extraCatalogs: getUserExtraCatalogs(userId) }),
         id: `com.seerrcatalog.user.${userId}`,
         name: `SeerrCatalog - ${user.display_name || user.username}`
     };
@@ -181,6 +192,7 @@ app.get('/user/:userId/catalog/:type/:id.json', async (req, res) => {
         if (req.query.skip) extra.skip = req.query.skip;
         if (req.query.genre) extra.genre = req.query.genre;
         if (req.query.search) extra.search = req.query.search;
+        if (req.query.sort) extra.sort = req.query.sort;
 
         const result = await catalogHandler({ type, id, extra, userId });
         res.json(result);
@@ -222,6 +234,18 @@ app.get('/user/:userId/meta/:type/:id.json', async (req, res) => {
     }
 });
 
+app.get('/user/:userId/stream/:type/:id.json', async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        const { type, id } = req.params;
+        const result = await streamHandler({ type, id, userId });
+        res.json(result);
+    } catch (e) {
+        console.error('User stream error:', e);
+        res.json({ streams: [] });
+    }
+});
+
 // Auth endpoints (no auth required)
 app.post('/api/auth/login', handleLogin);
 app.post('/api/auth/logout', handleLogout);
@@ -250,6 +274,8 @@ app.post('/api/auth/create-first-user', (req, res) => {
 
 // WebUI routes with session auth
 app.use('/api/users', requireAuth, usersRoutes);
+app.use('/api/quality-profiles', requireAuth, qualityProfilesRoutes);
+app.use('/api/backups', requireAuth, backupsRoutes);
 
 // Jellyseerr connection test endpoint
 app.post('/api/jellyseerr/test', requireAuth, async (req, res) => {
@@ -373,6 +399,10 @@ app.listen(PORT, HOST, () => {
     console.log('╚════════════════════════════════════════════════════════╝');
     console.log('');
 
+    // Start the job queue workers (resumes checks interrupted by a restart)
+    registerJobHandler('stream_check', runStreamCheckJob);
+    startJobQueue(db);
+
     // Start background stream checker (checks every 24h)
     startBackgroundChecker(db);
 
@@ -7,7 +7,7 @@ const express = require('express');
 const crypto = require('crypto');
 const db = require('../db');
 const { getTVShowSeasons } = require('../services/tmdb');
-const { checkStreamsAvailable } = require('../services/streamChecker');
+const { episodeHasStreams, queueStreamCheck } = require('../services/streamChecker');
 
 const router = express.Router();
 
@@ -387,7 +387,7 @@ router.get('/Items', (req, res) => {
             if (!match) continue;
 
             const [, type, id] = match;
-            const media = db.getMediaById(parseInt(id));
+            const media = db.getActiveMediaById(parseInt(id));
 
             if (!media || (type === 'movie' && media.type !== 'movie') || (type === 'series' && media.type !== 'series')) {
                 continue;
@@ -579,7 +579,7 @@ router.get('/Users/:userId/Items/:itemId', (req, res) => {
     }
 
     const [, type, id] = match;
-    const media = db.getMediaById(parseInt(id));
+    const media = db.getActiveMediaById(parseInt(id));
 
     if (!media || (type === 'movie' && media.type !== 'movie') || (type === 'series' && media.type !== 'series')) {
         return res.status(404).json({ message: 'Item not found' });
@@ -746,7 +746,7 @@ router.get('/Shows/:seriesId/Seasons', async (req, res) => {
     }
 
     const id = parseInt(match[1]);
-    const media = db.getMediaById(id);
+    const media = db.getActiveMediaById(id);
 
     if (!media || media.type !== 'series') {
         return res.status(404).json({ message: 'Series not found' });
@@ -824,7 +824,7 @@ router.get('/Shows/:seriesId/Episodes', async (req, res) => {
     }
 
     const id = parseInt(match[1]);
-    const media = db.getMediaById(id);
+    const media = db.getActiveMediaById(id);
 
     if (!media || media.type !== 'series') {
         return res.status(404).json({ message: 'Series not found' });
@@ -845,23 +845,35 @@ router.get('/Shows/:seriesId/Episodes', async (req, res) => {
         }
     }
 
-    // Get episode count from TMDB
-    let episodeCount = 10; // Default
-    if (media.tmdb_id) {
-        const tmdbData = await getTVShowSeasons(media.tmdb_id, db);
-        if (tmdbData && tmdbData.seasons) {
-            const season = tmdbData.seasons.find(s => s.season_number === seasonNumber);
-            if (season) {
-                episodeCount = season.episode_count;
+    // Episodes we track: the ones with streams exist "on disk", the others are listed as missing
+    // (Virtual, like Jellyfin does for episodes it knows of but has no file for)
+    let seasonEpisodes = db.getEpisodes(media.id).filter(ep => ep.season_number === seasonNumber);
+    if (seasonEpisodes.length > 0) {
+        seasonEpisodes = seasonEpisodes
+            .map(ep => ({ number: ep.episode_number, title: ep.title, airDate: ep.air_date, available: episodeHasStreams(media, ep) }));
+    } else {
+        // No episode rows for this season - get episode count from TMDB
+        let episodeCount = 10; // Default
+        if (media.tmdb_id) {
+            const tmdbData = await getTVShowSeasons(media.tmdb_id, db);
+            if (tmdbData && tmdbData.seasons) {
+                const season = tmdbData.seasons.find(s => s.season_number === seasonNumber);
+                if (season) {
+                    episodeCount = season.episode_count;
+                }
             }
         }
+        for (let i = 1; i <= episodeCount; i++) {
+            seasonEpisodes.push({ number: i, title: null, airDate: null, available: true });
+        }
     }
 
     // Generate episodes for this season
     const episodes = [];
-    for (let i = 1; i <= episodeCount; i++) {
+    for (const { number: i, title, airDate, available } of seasonEpisodes) {
+        const file = `/media/tv/${media.title} (${media.year})/Season ${String(seasonNumber).padStart(2, '0')}/S${String(seasonNumber).padStart(2, '0')}E${String(i).padStart(2, '0')}.mkv`;
         episodes.push({
-            Name: `Episode ${i}`,
+            Name: title || `Episode ${i}`,
             ServerId: 'seerrcatalog',
             Id: `${seriesId}-s${seasonNumber}e${i}`,
             Type: 'Episode',
@@ -872,30 +884,32 @@ router.get('/Shows/:seriesId/Episodes', async (req, res) => {
             IndexNumber: i,
             ParentIndexNumber: seasonNumber,
             ProductionYear: media.year,
-            PremiereDate: media.year ? `${media.year}-01-01T00:00:00.0000000Z` : null,
+            PremiereDate: airDate ? `${airDate}T00:00:00.0000000Z` : (media.year ? `${media.year}-01-01T00:00:00.0000000Z` : null),
             MediaType: 'Video',
-            LocationType: 'FileSystem',
-            Path: `/media/tv/${media.title} (${media.year})/Season ${String(seasonNumber).padStart(2, '0')}/S${String(seasonNumber).padStart(2, '0')}E${String(i).padStart(2, '0')}.mkv`,
+            LocationType: available ? 'FileSystem' : 'Virtual',
             ImageTags: {},
             BackdropImageTags: [],
-            // MediaSources for resolution detection
-            MediaSources: [{
-                Protocol: 'File',
-                Id: `${seriesId}-s${seasonNumber}e${i}-source`,
-                Path: `/media/tv/${media.title} (${media.year})/Season ${String(seasonNumber).padStart(2, '0')}/S${String(seasonNumber).padStart(2, '0')}E${String(i).padStart(2, '0')}.mkv`,
-                Type: 'Default',
-                VideoType: 'VideoFile',
-                MediaStreams: [{
-                    Codec: 'h264',
-                    Type: 'Video',
-                    Width: 1920,
-                    Height: 1080
+            ...(available && {
+                Path: file,
+                // MediaSources for resolution detection
+                MediaSources: [{
+                    Protocol: 'File',
+                    Id: `${seriesId}-s${seasonNumber}e${i}-source`,
+                    Path: file,
+                    Type: 'Default',
+                    VideoType: 'VideoFile',
+                    MediaStreams: [{
+                        Codec: 'h264',
+                        Type: 'Video',
+                        Width: 1920,
+                        Height: 1080
+                    }]
                 }]
-            }]
+            })
         });
     }
 
-    console.log(`[Jellyfin] Returning ${episodes.length} episodes for ${media.title} S${seasonNumber}`);
+    console.log(`[Jellyfin] Returning ${episodes.length} episodes for ${media.title} S${seasonNumber} (${episodes.filter(e => e.LocationType !== 'Virtual').length} available)`);
 
     res.json({
         Items: episodes,
@@ -1036,29 +1050,11 @@ router.get('/Items/Latest', (req, res) => {
 
     // Trigger background re-verification for items that need it
     if (mediaToReverify.length > 0) {
-        console.log(`[Jellyfin] 🔄 Triggering background re-verification for ${mediaToReverify.length} items...`);
-
-        setImmediate(async () => {
-            for (const media of mediaToReverify) {
-                try {
-                    console.log(`[Jellyfin] Re-verifying streams for: ${media.title}`);
-                    const result = await checkStreamsAvailable(media, db);
-                    db.updateStreamStatus(media.id, result.available, result.streamCount, result.lastChecked, result.addons);
-
-                    if (result.available) {
-                        console.log(`[Jellyfin] ✅ Re-check passed for: ${media.title} (${result.streamCount} streams)`);
-                    } else {
-                        console.log(`[Jellyfin] ⚠️ Re-check FAILED for: ${media.title} - marking unavailable`);
-                    }
-                } catch (e) {
-                    console.error(`[Jellyfin] Re-verification error for ${media.title}:`, e.message);
-                }
+        console.log(`[Jellyfin] 🔄 Queueing re-verification for ${mediaToReverify.length} items...`);
 
-                // Small delay between checks to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
-            console.log(`[Jellyfin] 🔄 Background re-verification complete`);
-        });
+        for (const media of mediaToReverify) {
+            queueStreamCheck(media, db, { source: 'Jellyfin' });
+        }
     }
 });
 
@@ -1,7 +1,9 @@
 const express = require('express');
 const db = require('../db');
-const { checkStreamsAvailable } = require('../services/streamChecker');
+const { getQualityProfileIdForRequest } = require('../services/streamChecker');
 const { getTMDBDetails } = require('../services/tmdb');
+const { isReleased, isInCinemas } = require('../services/recheckPolicy');
+const { ingestMedia, updateRequest, findExistingMedia } = require('../services/mediaIngest');
 
 const router = express.Router();
 
@@ -47,53 +49,33 @@ router.get('/api/v3/system/status', (req, res) => {
     });
 });
 
-// Root folders
+// Root folders: the default one, plus one per quality profile mapped to a folder
+// (e.g. the folder used by Jellyseerr's 4K server)
 router.get('/api/v3/rootfolder', (req, res) => {
-    res.json([
-        {
-            id: 1,
-            path: '/movies',
-            accessible: true,
-            freeSpace: 1000000000000,
-            unmappedFolders: []
-        }
-    ]);
+    const folders = ['/movies', ...db.getSharedQualityProfiles().map(p => p.root_folder).filter(Boolean)];
+    res.json([...new Set(folders)].map((path, i) => ({
+        id: i + 1,
+        path,
+        accessible: true,
+        freeSpace: 1000000000000,
+        unmappedFolders: []
+    })));
 });
 
-// Quality profiles
+// Quality profiles: the scoring profiles visible to this user, so the one
+// picked in Jellyseerr decides how streams are scored
 router.get('/api/v3/qualityprofile', (req, res) => {
-    res.json([
-        {
-            id: 1,
-            name: 'Any',
-            upgradeAllowed: true,
-            cutoff: 1,
-            items: [],
-            minFormatScore: 0,
-            cutoffFormatScore: 0,
-            formatItems: []
-        },
-        {
-            id: 2,
-            name: 'HD-1080p',
-            upgradeAllowed: true,
-            cutoff: 1,
-            items: [],
-            minFormatScore: 0,
-            cutoffFormatScore: 0,
-            formatItems: []
-        },
-        {
-            id: 3,
-            name: '4K',
-            upgradeAllowed: true,
-            cutoff: 1,
-            items: [],
-            minFormatScore: 0,
-            cutoffFormatScore: 0,
-            formatItems: []
-        }
-    ]);
+    const userId = req.seerrcatalogUserId || 1;
+    res.json(db.getQualityProfilesForUser(userId).map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        upgradeAllowed: true,
+        cutoff: 1,
+        items: [],
+        minFormatScore: profile.min_score,
+        cutoffFormatScore: profile.min_score,
+        formatItems: []
+    })));
 });
 
 // Tags
@@ -101,6 +83,13 @@ router.get('/api/v3/tag', (req, res) => {
     res.json([]);
 });
 
+// Radarr status from the TMDB release dates (movies without dates are reported as released)
+function getMovieStatus(media) {
+    if (isReleased(media)) return 'released';
+    if (isInCinemas(media)) return 'inCinemas';
+    return 'announced';
+}
+
 // Convert DB movie to Radarr format
 function toRadarrMovie(media, idx = 0) {
     const hasFile = !!media.streams_available;
@@ -131,11 +120,11 @@ function toRadarrMovie(media, idx = 0) {
         alternateTitles: [],
         sortTitle: media.title.toLowerCase(),
         sizeOnDisk: hasFile ? 10000000000 : 0,
-        status: 'released',
+        status: getMovieStatus(media),
         overview: media.overview || '',
-        inCinemas: media.year ? `${media.year}-01-01` : null,
-        physicalRelease: media.year ? `${media.year}-06-01` : null,
-        digitalRelease: media.year ? `${media.year}-06-01` : null,
+        inCinemas: media.theatrical_release || null,
+        physicalRelease: media.physical_release || null,
+        digitalRelease: media.digital_release || null,
         images: media.poster ? [
             { coverType: 'poster', url: media.poster, remoteUrl: media.poster }
         ] : [],
@@ -145,8 +134,8 @@ function toRadarrMovie(media, idx = 0) {
         youTubeTrailerId: '',
         studio: '',
         path: `/movies/${media.title} (${media.year || 'Unknown'})`,
-        qualityProfileId: 1,
-        monitored: !!media.monitored,
+        qualityProfileId: media.quality_profile_id || 1,
+        monitored: !!media.monitored && media.status !== 'abandoned', // Abandoned: no longer searched for
         minimumAvailability: 'announced',
         isAvailable: hasFile,
         folderName: `${media.title} (${media.year || 'Unknown'})`,
@@ -157,7 +146,7 @@ function toRadarrMovie(media, idx = 0) {
         titleSlug: media.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
         certification: '',
         genres: media.genres || [],
-        tags: [],
+        tags: media.tags || [],
         added: media.added_at,
         ratings: { imdb: { votes: 0, value: 0, type: 'user' } },
         movieFile: movieFile,
@@ -166,21 +155,25 @@ function toRadarrMovie(media, idx = 0) {
     };
 }
 
+// The user's own item: Jellyseerr on one user's route can't see or change another user's media
+function getUserMedia(req, id) {
+    const media = db.getActiveMediaById(parseInt(id));
+    if (!media || media.type !== 'movie' || media.user_id !== (req.seerrcatalogUserId || 1)) return null;
+    return media;
+}
+
 // Get all movies
 router.get('/api/v3/movie', (req, res) => {
     const { tmdbId, imdbId } = req.query;
 
-    if (tmdbId) {
-        const media = db.getMediaByTmdb('movie', parseInt(tmdbId));
-        return res.json(media ? [toRadarrMovie(media)] : []);
-    }
-
-    if (imdbId) {
-        const media = db.getMediaByImdb(imdbId);
-        if (media && media.type === 'movie') {
-            return res.json([toRadarrMovie(media)]);
-        }
-        return res.json([]);
+    // Jellyseerr looks up what the user already has: another user's copy doesn't count
+    if (tmdbId || imdbId) {
+        const media = findExistingMedia(req.seerrcatalogUserId || 1, {
+            type: 'movie', tmdbId: parseInt(tmdbId) || null, imdbId: imdbId || null
+        }, db);
+        // Archived and deleted items are added again (and brought back) by a new request
+        const active = media && !media.archived_at && !media.deleted_at;
+        return res.json(active ? [toRadarrMovie(media)] : []);
     }
 
     const movies = db.getMediaByType('movie');
@@ -282,8 +275,8 @@ router.get('/api/v3/movie/lookup', async (req, res) => {
 // Get single movie by ID
 // IMPORTANT: This parametric route must be AFTER /lookup to avoid route conflict!
 router.get('/api/v3/movie/:id', (req, res) => {
-    const media = db.getMediaById(parseInt(req.params.id));
-    if (!media || media.type !== 'movie') {
+    const media = getUserMedia(req, req.params.id);
+    if (!media) {
         return res.status(404).json({ message: 'Movie not found' });
     }
     res.json(toRadarrMovie(media));
@@ -295,15 +288,6 @@ router.post('/api/v3/movie', async (req, res) => {
 
     console.log('[Radarr] Adding movie:', body.title);
 
-    // Check if movie already exists
-    if (body.tmdbId) {
-        const existing = db.getMediaByTmdb('movie', body.tmdbId);
-        if (existing) {
-            console.log('[Radarr] Movie already exists:', existing.id);
-            return res.json(toRadarrMovie(existing));
-        }
-    }
-
     // Extract images
     let poster = null;
     let backdrop = null;
@@ -314,105 +298,65 @@ router.post('/api/v3/movie', async (req, res) => {
         backdrop = backdropImg?.remoteUrl || backdropImg?.url;
     }
 
-    // Fallback: If no poster, try to fetch from TMDB
-    if (!poster && body.tmdbId) {
-        try {
-            console.log(`[Radarr] Missing poster for ${body.title}, fetching from TMDB...`);
-            const details = await getTMDBDetails(body.tmdbId, 'movie', db);
-            if (details) {
-                if (details.poster) poster = details.poster;
-                if (details.backdrop && !backdrop) backdrop = details.backdrop;
-                if (!body.overview && details.overview) body.overview = details.overview;
-                if (!body.year && details.year) body.year = details.year;
-                if (!body.genres && details.genres) body.genres = details.genres;
-                if (!body.runtime && details.runtime) body.runtime = details.runtime;
-                if (!body.imdbId && details.imdb_id) body.imdbId = details.imdb_id;  // IMDB ID pour stream check
-                console.log('[Radarr] Retrieved metadata from TMDB, IMDB:', body.imdbId);
-            }
-        } catch (e) {
-            console.error('[Radarr] TMDB fallback error:', e.message);
-        }
-    }
-
-
-    // Add to database with pending status
     // Assign to specific user if provided via user-specific route, else admin (ID=1)
     const userId = req.seerrcatalogUserId || 1;
-    const media = db.addMedia({
-        user_id: userId,
-        type: 'movie',
-        tmdb_id: body.tmdbId,
-        imdb_id: body.imdbId,
-        title: body.title,
-        original_title: body.originalTitle,
-        year: body.year,
-        poster: poster,
-        backdrop: backdrop,
-        overview: body.overview,
-        genres: body.genres,
-        runtime: body.runtime,
-        status: 'pending', // Will be updated after stream check
-        monitored: body.monitored !== false
-    });
-
-    console.log('[Radarr] Movie added:', media.id, media.title);
-
-    // Trigger async stream check (don't wait for response)
-    setImmediate(async () => {
-        try {
-            const result = await checkStreamsAvailable(media, db);
-            db.updateStreamStatus(media.id, result.available, result.streamCount, result.lastChecked, result.addons);
-            if (result.available) {
-                console.log(`[Radarr] ✅ Streams found for: ${media.title} (${result.streamCount} streams)`);
-
-                // Notify Jellyseerr that content is now available
-                const { notifyMediaAvailable } = require('../services/jellyseerr');
-                await notifyMediaAvailable(media);
-            } else {
-                console.log(`[Radarr] ⚠️ No streams found for: ${media.title}`);
-
-                // Get user's filter preferences for the notification
-                const user = media.user_id ? db.getUserById(media.user_id) : null;
-                let filterPrefs = null;
-                if (user) {
-                    const languageTagsJson = db.getSetting(`stream_filter_languages_${user.id}`);
-                    const minResolution = db.getSetting(`stream_filter_resolution_${user.id}`);
-                    filterPrefs = {
-                        languageTags: languageTagsJson ? JSON.parse(languageTagsJson) : [],
-                        minResolution: minResolution || null
-                    };
-                }
-
-                // Send Discord notification with filters
-                const { sendNoSourceNotification } = require('../services/discord');
-                await sendNoSourceNotification(media, filterPrefs);
-            }
-        } catch (e) {
-            console.error('[Radarr] Stream check error:', e.message);
-        }
-    });
-
-    res.status(201).json(toRadarrMovie(media));
+    try {
+        const { media, created } = await ingestMedia({
+            user_id: userId,
+            type: 'movie',
+            tmdb_id: body.tmdbId,
+            imdb_id: body.imdbId,
+            title: body.title,
+            original_title: body.originalTitle,
+            year: body.year,
+            poster,
+            backdrop,
+            overview: body.overview,
+            genres: body.genres,
+            runtime: body.runtime,
+            rating: body.rating,
+            monitored: body.monitored !== false,
+            quality_profile_id: getQualityProfileIdForRequest(userId, body, db)
+        }, db, { source: 'Radarr', notify: true });
+
+        res.status(created ? 201 : 200).json(toRadarrMovie(media));
+    } catch (e) {
+        console.error('[Radarr] Add movie failed:', e.message);
+        res.status(500).json({ message: e.message });
+    }
 });
 
-// Update movie
-router.put('/api/v3/movie/:id', (req, res) => {
-    const media = db.getMediaById(parseInt(req.params.id));
-    if (!media || media.type !== 'movie') {
+// Update movie (monitored, quality profile, tags)
+router.put('/api/v3/movie/:id', async (req, res) => {
+    const media = getUserMedia(req, req.params.id);
+    if (!media) {
         return res.status(404).json({ message: 'Movie not found' });
     }
 
-    // For now, just return the existing movie
-    // Could implement update logic if needed
-    res.json(toRadarrMovie(media));
+    const body = req.body || {};
+    // Movies without a profile are reported with profile 1: only an actual change picks one
+    const profileChanged = body.qualityProfileId !== undefined && parseInt(body.qualityProfileId) !== (media.quality_profile_id || 1);
+
+    try {
+        const { media: updated } = await updateRequest(media, {
+            monitored: body.monitored,
+            quality_profile_id: profileChanged ? getQualityProfileIdForRequest(media.user_id, { qualityProfileId: body.qualityProfileId }, db) : undefined,
+            tags: body.tags
+        }, db, { source: 'Radarr', notify: true });
+
+        res.status(202).json(toRadarrMovie(updated));
+    } catch (e) {
+        console.error('[Radarr] Update movie failed:', e.message);
+        res.status(500).json({ message: e.message });
+    }
 });
 
 // Delete movie
 router.delete('/api/v3/movie/:id', (req, res) => {
     const id = parseInt(req.params.id);
-    const media = db.getMediaById(id);
+    const media = getUserMedia(req, id);
 
-    if (!media || media.type !== 'movie') {
+    if (!media) {
         return res.status(404).json({ message: 'Movie not found' });
     }
 
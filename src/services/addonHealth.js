@@ -0,0 +1,93 @@
+/**
+ * Addon health service
+ * Tracks success rate, latency and errors of each user's addons,
+ * and skips addons that keep failing for a while (circuit breaker)
+ */
+
+// Consecutive failures before an addon is skipped
+const FAILURE_THRESHOLD = 3;
+
+// First skip lasts 5 minutes, doubling on each further failure, up to 6 hours
+const BASE_COOLDOWN = 5 * 60 * 1000;
+const MAX_COOLDOWN = 6 * 60 * 60 * 1000;
+
+/**
+ * Whether an addon's circuit is open (addon currently skipped)
+ * @param {Object} health - addon_health row
+ * @returns {boolean}
+ */
+function isCircuitOpen(health) {
+    return !!(health && health.disabled_until && new Date(health.disabled_until).getTime() > Date.now());
+}
+
+/**
+ * Health tracker for one user, passed to the Stremio service
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {Object} { isAvailable(addon), recordSuccess(addon, latencyMs), recordFailure(addon, latencyMs, error) }
+ */
+function createHealthTracker(userId, db) {
+    return {
+        isAvailable(addon) {
+            return !isCircuitOpen(db.getAddonHealth(userId, addon.id));
+        },
+
+        recordSuccess(addon, latencyMs) {
+            db.recordAddonSuccess(userId, addon.id, addon.name, latencyMs);
+        },
+
+        recordFailure(addon, latencyMs, error) {
+            const health = db.recordAddonFailure(userId, addon.id, addon.name, latencyMs, error);
+
+            // After the cooldown one request goes through: failing again re-opens the circuit for longer
+            if (health.consecutive_failures >= FAILURE_THRESHOLD) {
+                const cooldown = Math.min(BASE_COOLDOWN * Math.pow(2, health.consecutive_failures - FAILURE_THRESHOLD), MAX_COOLDOWN);
+                const disabledUntil = new Date(Date.now() + cooldown).toISOString();
+                db.setAddonDisabledUntil(userId, addon.id, disabledUntil);
+                console.log(`[AddonHealth] ⛔ ${addon.name} failed ${health.consecutive_failures} times in a row, skipped for ${Math.round(cooldown / 60000)} min`);
+            }
+        }
+    };
+}
+
+/**
+ * Health summary of a user's addons, keyed by addon ID
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {Object} { [addonId]: { status, successRate, avgLatencyMs, lastError, ... } }
+ */
+function getAddonHealthSummary(userId, db) {
+    const summary = {};
+
+    for (const row of db.getAddonHealthByUser(userId)) {
+        const total = row.success_count + row.failure_count;
+        let status = 'healthy';
+        if (isCircuitOpen(row)) {
+            status = 'down';
+        } else if (row.consecutive_failures > 0) {
+            status = 'degraded';
+        }
+
+        summary[row.addon_id] = {
+            status,
+            successRate: total > 0 ? Math.round(row.success_count / total * 100) : null,
+            successCount: row.success_count,
+            failureCount: row.failure_count,
+            consecutiveFailures: row.consecutive_failures,
+            avgLatencyMs: row.avg_latency_ms,
+            lastLatencyMs: row.last_latency_ms,
+            lastError: row.last_error,
+            lastSuccessAt: row.last_success_at,
+            lastFailureAt: row.last_failure_at,
+            disabledUntil: isCircuitOpen(row) ? row.disabled_until : null
+        };
+    }
+
+    return summary;
+}
+
+module.exports = {
+    createHealthTracker,
+    getAddonHealthSummary,
+    FAILURE_THRESHOLD
+};
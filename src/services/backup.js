@@ -0,0 +1,216 @@
+/**
+ * Database backups
+ * Snapshots of the live database taken with the SQLite online backup API (safe while the
+ * server runs), kept in <data dir>/backups and rotated (backup_keep setting).
+ * Restoring migrates a checked copy of the backup, then copies its rows into the live database
+ * through the server's own connection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_KEEP = 7;
+
+// Backups we take (and rotate); pre-migration copies live in the same directory
+const BACKUP_PREFIX = 'seerr-catalog-backup-';
+const BACKUP_NAME = /^seerr-catalog-[\w.-]+\.db$/;
+
+function getBackupDir(db) {
+    const dir = path.join(db.dataDir, 'backups');
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+/**
+ * Number of scheduled/manual backups kept
+ * @param {Object} db - Database instance
+ * @returns {number}
+ */
+function getBackupKeep(db) {
+    const value = db.getSetting('backup_keep');
+    if (value === null || value === '' || isNaN(value)) return DEFAULT_KEEP;
+    return Math.max(1, parseInt(value));
+}
+
+/**
+ * Backups in the backup directory, newest first
+ * @param {Object} db - Database instance
+ * @returns {Array} [{ name, size, createdAt }]
+ */
+function listBackups(db) {
+    const dir = getBackupDir(db);
+    return fs.readdirSync(dir)
+        .filter(name => BACKUP_NAME.test(name))
+        .map(name => {
+            const stat = fs.statSync(path.join(dir, name));
+            return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Path of a backup file, or null if there is no backup with this name
+ * @param {string} name - Backup file name (from listBackups)
+ * @param {Object} db - Database instance
+ * @returns {string|null}
+ */
+function getBackupPath(name, db) {
+    if (!BACKUP_NAME.test(name) || path.basename(name) !== name) return null;
+    const file = path.join(getBackupDir(db), name);
+    return fs.existsSync(file) ? file : null;
+}
+
+function rotateBackups(db) {
+    const dir = getBackupDir(db);
+    const ours = listBackups(db).filter(b => b.name.startsWith(BACKUP_PREFIX));
+    for (const backup of ours.slice(getBackupKeep(db))) {
+        fs.unlinkSync(path.join(dir, backup.name));
+        console.log(`[Backup] Removed old backup ${backup.name}`);
+    }
+}
+
+/**
+ * Back up the live database and drop the oldest backups beyond backup_keep
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { name, size, createdAt }
+ */
+async function createBackup(db) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `${BACKUP_PREFIX}${stamp}.db`;
+    const file = path.join(getBackupDir(db), name);
+
+    await db.db.backup(file);
+    // A single file is easier to download and restore than db + WAL
+    const copy = new Database(file);
+    copy.pragma('journal_mode = DELETE');
+    copy.close();
+
+    console.log(`[Backup] Created ${name}`);
+    rotateBackups(db);
+
+    const stat = fs.statSync(file);
+    return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+}
+
+/**
+ * Check that a file is a sound SeerrCatalog database
+ * @param {string} file - Path of the database file
+ * @returns {string|null} Error message, or null if it can be restored
+ */
+function checkBackupFile(file) {
+    let candidate;
+    try {
+        candidate = new Database(file, { readonly: true, fileMustExist: true });
+        const integrity = candidate.pragma('integrity_check', { simple: true });
+        if (integrity !== 'ok') return `Integrity check failed: ${integrity}`;
+
+        const tables = candidate.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(t => t.name);
+        const missing = ['users', 'media', 'settings'].filter(t => !tables.includes(t));
+        if (missing.length > 0) return `Not a SeerrCatalog database (missing ${missing.join(', ')})`;
+        return null;
+    } catch (e) {
+        return `Not a valid database: ${e.message}`;
+    } finally {
+        if (candidate) candidate.close();
+    }
+}
+
+// Bring a copy of a backup up to the current schema (tables, migrations, default profiles)
+async function stageBackup(file, db) {
+    const staged = path.join(getBackupDir(db), `restore-${Date.now()}.tmp`);
+
+    const source = new Database(file, { readonly: true });
+    try {
+        await source.backup(staged);
+    } finally {
+        source.close();
+    }
+
+    const candidate = new Database(staged);
+    try {
+        // No pre-migration copy: the uploaded file is that copy
+        db.initSchema(candidate, { dataDir: db.dataDir, isNewDatabase: true });
+        candidate.pragma('journal_mode = DELETE');
+    } finally {
+        candidate.close();
+    }
+    return staged;
+}
+
+// Replace every row of the live database with the staged copy's, in one transaction on the live
+// connection (writing the file from a second connection would go behind the open WAL connection)
+function copyIntoLiveDatabase(staged, db) {
+    const live = db.db;
+    live.prepare('ATTACH DATABASE ? AS restored').run(staged);
+    try {
+        const tablesOf = schema => live.prepare(`SELECT name FROM ${schema}.sqlite_master WHERE type = 'table'`).pluck().all();
+        const restoredTables = tablesOf('restored');
+        const tables = tablesOf('main').filter(t => restoredTables.includes(t));
+
+        live.transaction(() => {
+            // Rows go in table by table: references are checked once they are all in
+            live.pragma('defer_foreign_keys = ON');
+            for (const table of tables) {
+                live.exec(`DELETE FROM main."${table}"`);
+            }
+            for (const table of tables) {
+                const restoredColumns = live.prepare(`SELECT name FROM pragma_table_info(?, 'restored')`).pluck().all(table);
+                const columns = live.prepare(`SELECT name FROM pragma_table_info(?, 'main')`).pluck().all(table)
+                    .filter(c => restoredColumns.includes(c))
+                    .map(c => `"${c}"`).join(', ');
+                live.exec(`INSERT INTO main."${table}" (${columns}) SELECT ${columns} FROM restored."${table}"`);
+            }
+        })();
+    } finally {
+        live.exec('DETACH DATABASE restored');
+    }
+}
+
+/**
+ * Replace the live database with a backup, after checking it
+ * The backup is migrated on a copy first, so the live database is only replaced by one that is
+ * complete; the current database is backed up too, so a restore can be undone
+ * @param {string} file - Path of the backup to restore
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { restored: true, previous: backup of the replaced database } or { error }
+ */
+async function restoreBackup(file, db) {
+    const error = checkBackupFile(file);
+    if (error) return { error };
+
+    let staged;
+    try {
+        try {
+            staged = await stageBackup(file, db);
+        } catch (e) {
+            console.error('[Backup] Could not migrate the backup:', e.message);
+            return { error: `Could not bring the backup up to date: ${e.message}` };
+        }
+        const stagedError = checkBackupFile(staged);
+        if (stagedError) return { error: stagedError };
+
+        const previous = await createBackup(db);
+
+        copyIntoLiveDatabase(staged, db);
+
+        console.log(`[Backup] ♻️ Database restored (previous database saved as ${previous.name})`);
+        return { restored: true, previous: previous.name };
+    } finally {
+        if (staged) {
+            ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${staged}${suffix}`, { force: true }));
+        }
+    }
+}
+
+module.exports = {
+    getBackupKeep,
+    listBackups,
+    getBackupPath,
+    createBackup,
+    checkBackupFile,
+    restoreBackup,
+    DEFAULT_KEEP
+};
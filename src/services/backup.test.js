@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Throwaway database
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'seerr-catalog-test-'));
+
+const db = require('../db');
+const { createBackup, getBackupPath, restoreBackup } = require('./backup');
+
+after(() => {
+    db.db.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('restores a backup into the live database', async () => {
+    const alice = db.createUser('alice', 'password');
+    db.addMedia({ user_id: alice.id, type: 'movie', tmdb_id: 100, title: 'Matrix' });
+    db.setSetting('backup_keep', '3');
+    const backup = await createBackup(db);
+
+    const bob = db.createUser('bob', 'password');
+    db.addMedia({ user_id: bob.id, type: 'movie', tmdb_id: 101, title: 'Upcoming' });
+    db.setSetting('backup_keep', '5');
+
+    const result = await restoreBackup(getBackupPath(backup.name, db), db);
+    assert.equal(result.restored, true);
+    assert.ok(getBackupPath(result.previous, db), 'the replaced database is backed up');
+
+    // Read back through the server's connection...
+    assert.deepEqual(db.getAllUsers().map(u => u.username), ['alice']);
+    assert.deepEqual(db.getMediaByUser(alice.id).map(m => m.title), ['Matrix']);
+    assert.equal(db.getSetting('backup_keep'), '3');
+    assert.deepEqual(db.db.pragma('foreign_key_check'), []);
+
+    // ...and from a new one, as after a restart
+    const reopened = new Database(db.dbPath, { readonly: true });
+    try {
+        assert.deepEqual(reopened.prepare('SELECT title FROM media').pluck().all(), ['Matrix']);
+    } finally {
+        reopened.close();
+    }
+
+    // Ids keep counting from the backup's
+    const carol = db.createUser('carol', 'password');
+    assert.equal(carol.id, bob.id);
+});
+
+test('leaves the live database alone when the file is not a backup', async () => {
+    const file = path.join(process.env.DATA_DIR, 'not-a-backup.db');
+    fs.writeFileSync(file, 'hello');
+
+    const result = await restoreBackup(file, db);
+    assert.match(result.error, /Not a valid database/);
+    assert.deepEqual(db.getAllUsers().map(u => u.username), ['alice', 'carol']);
+});
@@ -0,0 +1,262 @@
+/**
+ * Catalog export/import
+ * A user's catalog (media, episodes, watched state) and preferences as JSON, to move it
+ * to another instance or user; or as CSV keyed on TMDB/IMDB IDs, to seed a catalog.
+ * Items already in the target catalog (same type and TMDB ID, whatever their state) are
+ * skipped; new items go through mediaIngest (release gate, stream check).
+ */
+
+const { formatCsv, parseCsv } = require('./csv');
+const { getTMDBDetails, findByExternalId } = require('./tmdb');
+const { ingestMedia } = require('./mediaIngest');
+
+const EXPORT_VERSION = 1;
+
+const MEDIA_FIELDS = [
+    'type', 'tmdb_id', 'imdb_id', 'tvdb_id', 'title', 'original_title', 'year', 'poster', 'backdrop',
+    'overview', 'genres', 'runtime', 'rating', 'status', 'monitored', 'watched', 'watched_at', 'added_at',
+    'archived_at', 'airing_status', 'theatrical_release', 'digital_release', 'physical_release'
+];
+
+const EPISODE_FIELDS = ['season_number', 'episode_number', 'title', 'overview', 'air_date', 'monitored', 'watched'];
+
+const CSV_COLUMNS = ['type', 'tmdb_id', 'imdb_id', 'tvdb_id', 'title', 'year', 'watched', 'watched_at', 'added_at'];
+
+function pick(object, fields) {
+    const picked = {};
+    fields.forEach(field => { picked[field] = object[field] ?? null; });
+    return picked;
+}
+
+// Per-user settings are stored as <name>_<userId>
+function getUserSettings(userId, db) {
+    const suffix = `_${userId}`;
+    const settings = {};
+    Object.entries(db.getAllSettings()).forEach(([key, value]) => {
+        if (key.endsWith(suffix)) settings[key.slice(0, -suffix.length)] = value;
+    });
+    return settings;
+}
+
+// Catalog rows of a user, trash excluded
+function getExportedMedia(userId, db) {
+    return [
+        ...db.getFilteredMedia({ userId }),
+        ...db.getFilteredMedia({ userId, archived: true })
+    ];
+}
+
+/**
+ * Export a user's catalog and preferences
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {Object} { version, exportedAt, settings, media: [{ ...fields, episodes }] }
+ */
+function exportCatalog(userId, db) {
+    const media = getExportedMedia(userId, db).map(m => ({
+        ...pick(m, MEDIA_FIELDS),
+        episodes: m.type === 'series' ? db.getEpisodes(m.id).map(ep => pick(ep, EPISODE_FIELDS)) : undefined
+    }));
+
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: getUserSettings(userId, db),
+        media
+    };
+}
+
+/**
+ * Export a user's catalog as CSV (one line per movie/series)
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {string}
+ */
+function exportCatalogCsv(userId, db) {
+    return formatCsv(CSV_COLUMNS, getExportedMedia(userId, db).map(m => ({ ...m, watched: m.watched ? 1 : 0 })));
+}
+
+function isTruthy(value) {
+    return value === true || value === 1 || ['1', 'true', 'yes', 'y'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Add one imported item to a user's catalog (see mediaIngest), unless it's already there
+ * The item keeps its watched state and dates, and its episodes when the file has them
+ * @param {number} userId - User ID
+ * @param {Object} item - Media fields (see MEDIA_FIELDS), with episodes for series
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object|null>} The new media, or null if it was a duplicate
+ */
+async function importMediaItem(userId, item, db) {
+    const restoreHistory = media => {
+        db.updateMediaHistory(media.id, {
+            watched: isTruthy(item.watched),
+            watchedAt: item.watched_at,
+            addedAt: item.added_at,
+            archivedAt: item.archived_at
+        });
+        db.updateReleaseDates(media.id, {
+            theatrical: item.theatrical_release,
+            digital: item.digital_release,
+            physical: item.physical_release
+        });
+        if (item.airing_status) db.updateAiringStatus(media.id, item.airing_status);
+
+        for (const ep of item.episodes || []) {
+            const info = db.addEpisode({ ...ep, media_id: media.id, monitored: ep.monitored !== 0 && ep.monitored !== false });
+            if (isTruthy(ep.watched)) db.markEpisodeWatched(info.lastInsertRowid);
+        }
+    };
+
+    const { media, created } = await ingestMedia({
+        ...item,
+        user_id: userId,
+        genres: Array.isArray(item.genres) ? item.genres : null,
+        monitored: item.monitored !== 0 && item.monitored !== false
+    }, db, {
+        source: 'Import',
+        enrich: false,
+        reactivate: false,
+        // Episodes from the file, or from TMDB for CSV lines
+        syncEpisodes: !Array.isArray(item.episodes),
+        afterAdd: restoreHistory
+    });
+    return created ? media : null;
+}
+
+function validateItem(item) {
+    if (!item || !['movie', 'series'].includes(item.type)) return 'type must be movie or series';
+    if (!item.tmdb_id && !item.imdb_id) return 'tmdb_id or imdb_id is required';
+    if (!item.title) return 'title is required';
+    return null;
+}
+
+/**
+ * Import a JSON export (see exportCatalog) into a user's catalog
+ * @param {number} userId - Target user ID
+ * @param {Object} data - Exported catalog
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { added, skipped, errors: [{ item, error }], settings: number of settings applied }
+ */
+async function importCatalog(userId, data, db) {
+    if (!data || !Array.isArray(data.media)) {
+        throw new Error('Not a SeerrCatalog export (media list missing)');
+    }
+
+    const result = { added: 0, skipped: 0, errors: [], settings: 0 };
+
+    for (const item of data.media) {
+        const error = validateItem(item);
+        if (error) {
+            result.errors.push({ item: item?.title || item?.tmdb_id || null, error });
+            continue;
+        }
+        try {
+            const media = await importMediaItem(userId, item, db);
+            if (media) {
+                result.added++;
+            } else {
+                result.skipped++;
+            }
+        } catch (e) {
+            result.errors.push({ item: item.title || item.tmdb_id, error: e.message });
+        }
+    }
+
+    Object.entries(data.settings || {}).forEach(([name, value]) => {
+        if (!/^[a-z0-9_]+$/.test(name)) return;
+        db.setSetting(`${name}_${userId}`, value);
+        result.settings++;
+    });
+
+    console.log(`[Import] User ${userId}: ${result.added} added, ${result.skipped} already in the catalog, ${result.errors.length} errors`);
+    return result;
+}
+
+/**
+ * Resolve a CSV line to media fields, completed from TMDB when it's configured
+ * @param {Object} row - CSV line (see CSV_COLUMNS; only type + tmdb_id, or imdb_id, are required)
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} Media fields, or { error }
+ */
+async function resolveCsvRow(row, db) {
+    let type = row.type === 'tv' || row.type === 'show' ? 'series' : row.type;
+    let tmdbId = parseInt(row.tmdb_id) || null;
+    const imdbId = row.imdb_id || null;
+
+    if (!tmdbId && imdbId) {
+        const found = await findByExternalId(imdbId, 'imdb_id', db);
+        const movie = found?.movie_results?.[0];
+        const show = found?.tv_results?.[0];
+        if (movie && type !== 'series') {
+            tmdbId = movie.id;
+            type = 'movie';
+        } else if (show && type !== 'movie') {
+            tmdbId = show.id;
+            type = 'series';
+        }
+    }
+    if (!['movie', 'series'].includes(type)) return { error: 'type must be movie or series' };
+
+    const details = tmdbId ? await getTMDBDetails(tmdbId, type, db) : null;
+    const item = {
+        ...(details || {}),
+        type,
+        tmdb_id: tmdbId,
+        imdb_id: imdbId || details?.imdb_id || null,
+        tvdb_id: parseInt(row.tvdb_id) || null,
+        title: details?.title || row.title || null,
+        year: details?.year || parseInt(row.year) || null,
+        rating: details?.vote_average || null,
+        watched: row.watched,
+        watched_at: row.watched_at || null,
+        added_at: row.added_at || null
+    };
+
+    const error = validateItem(item);
+    return error ? { error } : item;
+}
+
+/**
+ * Import a CSV file into a user's catalog
+ * Series get their episodes from TMDB
+ * @param {number} userId - Target user ID
+ * @param {string} text - CSV content
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { added, skipped, errors: [{ item, error }] }
+ */
+async function importCatalogCsv(userId, text, db) {
+    const rows = parseCsv(text);
+    const result = { added: 0, skipped: 0, errors: [] };
+
+    for (const [i, row] of rows.entries()) {
+        const item = await resolveCsvRow(row, db);
+        if (item.error) {
+            result.errors.push({ item: row.title || row.imdb_id || row.tmdb_id || `line ${i + 2}`, error: item.error });
+            continue;
+        }
+
+        try {
+            const media = await importMediaItem(userId, item, db);
+            if (media) {
+                result.added++;
+            } else {
+                result.skipped++;
+            }
+        } catch (e) {
+            result.errors.push({ item: item.title || item.tmdb_id, error: e.message });
+        }
+    }
+
+    console.log(`[Import] User ${userId} (CSV): ${result.added} added, ${result.skipped} already in the catalog, ${result.errors.length} errors`);
+    return result;
+}
+
+module.exports = {
+    exportCatalog,
+    exportCatalogCsv,
+    importCatalog,
+    importCatalogCsv,
+    EXPORT_VERSION
+};
@@ -0,0 +1,82 @@
+/**
+ * Cleanup policy
+ * Per-user settings for watched content: the progress at which a movie or episode counts
+ * as watched, and what auto-cleanup does with watched items (delete or archive, after a
+ * grace period counted from the day they were watched).
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WATCHED_THRESHOLD = 90;
+const CLEANUP_ACTIONS = ['delete', 'archive'];
+
+function parseNumberSetting(value, fallback) {
+    if (value === null || value === undefined || value === '' || isNaN(value)) return fallback;
+    return Number(value);
+}
+
+/**
+ * Progress (0-1) at which a movie or episode counts as watched for a user
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {number}
+ */
+function getWatchedThreshold(userId, db) {
+    const percent = parseNumberSetting(db.getSetting(`watched_threshold_${userId}`), DEFAULT_WATCHED_THRESHOLD);
+    return Math.min(100, Math.max(1, percent)) / 100;
+}
+
+/**
+ * Auto-cleanup settings of a user
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {Object} { enabled, graceDays, action: 'delete'|'archive', watchedThreshold (percent) }
+ */
+function getCleanupSettings(userId, db) {
+    const action = db.getSetting(`cleanup_action_${userId}`);
+    return {
+        enabled: db.getSetting(`auto_cleanup_${userId}`) === 'true',
+        graceDays: Math.max(0, parseInt(parseNumberSetting(db.getSetting(`cleanup_grace_days_${userId}`), 0))),
+        action: CLEANUP_ACTIONS.includes(action) ? action : 'delete',
+        watchedThreshold: Math.round(getWatchedThreshold(userId, db) * 100)
+    };
+}
+
+/**
+ * Save auto-cleanup settings of a user (fields not given are left unchanged)
+ * @param {number} userId - User ID
+ * @param {Object} settings - { enabled, graceDays, action, watchedThreshold }
+ * @param {Object} db - Database instance
+ */
+function saveCleanupSettings(userId, { enabled, graceDays, action, watchedThreshold }, db) {
+    if (enabled !== undefined) db.setSetting(`auto_cleanup_${userId}`, enabled ? 'true' : 'false');
+    if (graceDays !== undefined) {
+        db.setSetting(`cleanup_grace_days_${userId}`, String(Math.max(0, parseInt(graceDays) || 0)));
+    }
+    if (action !== undefined && CLEANUP_ACTIONS.includes(action)) db.setSetting(`cleanup_action_${userId}`, action);
+    if (watchedThreshold !== undefined && !isNaN(watchedThreshold)) {
+        db.setSetting(`watched_threshold_${userId}`, String(Math.min(100, Math.max(1, parseInt(watchedThreshold)))));
+    }
+}
+
+/**
+ * Whether a watched item's grace period is over
+ * @param {Object} media - Media object (watched_at set)
+ * @param {number} graceDays - Days to keep watched items
+ * @param {number} now - Timestamp
+ * @returns {boolean}
+ */
+function isCleanupDue(media, graceDays, now = Date.now()) {
+    if (graceDays <= 0) return true;
+    if (!media.watched_at) return false;
+    return new Date(media.watched_at).getTime() + graceDays * DAY <= now;
+}
+
+module.exports = {
+    getWatchedThreshold,
+    getCleanupSettings,
+    saveCleanupSettings,
+    isCleanupDue,
+    DEFAULT_WATCHED_THRESHOLD,
+    CLEANUP_ACTIONS
+};
@@ -0,0 +1,121 @@
+/**
+ * Cron expressions
+ * Standard 5 fields (minute hour day-of-month month day-of-week) in server local time,
+ * with *, lists (1,15), ranges (1-5), steps (*\/15, 0-12/2) and @hourly/@daily/@weekly/@monthly
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${field.name}: "${part}"`);
+
+        let [from, to] = match[1] === '*'
+            ? [field.min, field.max]
+            : match[1].split('-').map(Number);
+        if (to === undefined) to = match[2] ? field.max : from;
+        const step = match[2] ? parseInt(match[2]) : 1;
+
+        if (from < field.min || to > field.max || from > to || step < 1) {
+            throw new Error(`Invalid ${field.name}: "${part}" (${field.min}-${field.max})`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 3 * * *"
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday } (Sets of allowed values)
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    const text = (expression || '').trim();
+    const parts = (ALIASES[text] || text).split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/**
+ * Check that a cron expression is valid
+ * @param {string} expression
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCron(expression) {
+    try {
+        parseCron(expression);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+function matchesDay(cron, date) {
+    const day = cron.days.has(date.getDate());
+    const weekday = cron.weekdays.has(date.getDay());
+    // Like cron: when both are restricted, either one matching is enough
+    if (!cron.anyDay && !cron.anyWeekday) return day || weekday;
+    return day && weekday;
+}
+
+/**
+ * Next time a cron expression fires, strictly after a date
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start date (default: now)
+ * @returns {Date|null} Next run, or null if none within 5 years (e.g. "0 0 31 2 *")
+ */
+function getNextRun(expression, from = new Date()) {
+    const cron = parseCron(expression);
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    validateCron,
+    getNextRun
+};
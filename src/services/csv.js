@@ -0,0 +1,85 @@
+/**
+ * CSV helpers (RFC 4180: comma separated, fields with commas, quotes or line breaks quoted)
+ */
+
+function formatField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {string[]} columns - Header names
+ * @param {Object[]} rows - Objects keyed by column name
+ * @returns {string}
+ */
+function formatCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(col => formatField(row[col])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a CSV document with a header line
+ * @param {string} text - CSV content
+ * @returns {Object[]} One object per line, keyed by header name (as written, trimmed)
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 BOM (Excel exports)
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(name => name.trim());
+    return nonEmpty.slice(1).map(values => {
+        const row = {};
+        header.forEach((name, i) => { row[name] = (values[i] || '').trim(); });
+        return row;
+    });
+}
+
+module.exports = {
+    formatCsv,
+    parseCsv
+};
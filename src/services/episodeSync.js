@@ -0,0 +1,115 @@
+/**
+ * Episode sync service
+ * Keeps series episodes (titles, overviews, air dates) in sync with TMDB
+ */
+
+const { getTVShowSeasons, getTVSeasonDetails, findByExternalId } = require('./tmdb');
+
+/**
+ * Resolve the TMDB ID of a series, looking it up by TVDB ID if needed
+ * @param {Object} media - Series media object
+ * @param {Object} db - Database instance
+ * @returns {Promise<number|null>}
+ */
+async function resolveTmdbId(media, db) {
+    if (media.tmdb_id) return media.tmdb_id;
+    if (!media.tvdb_id) return null;
+
+    const found = await findByExternalId(media.tvdb_id, 'tvdb_id', db);
+    const tmdbId = found?.tv_results?.[0]?.id || null;
+    if (tmdbId) {
+        media.tmdb_id = tmdbId;
+        db.db.prepare('UPDATE media SET tmdb_id = ? WHERE id = ?').run(tmdbId, media.id);
+        console.log(`[EpisodeSync] Resolved TMDB ID for ${media.title}: ${tmdbId}`);
+    }
+    return tmdbId;
+}
+
+/**
+ * Fetch episodes from TMDB and store them for a series
+ * Existing episodes keep their monitored, watched and stream status
+ * @param {Object} media - Series media object
+ * @param {Object} db - Database instance
+ * @param {Object} options - { seasons: Array of season numbers to sync (all if omitted), monitored: boolean for new episodes }
+ * @returns {Promise<number|null>} Number of episodes synced, or null if TMDB couldn't be reached
+ */
+async function syncSeriesEpisodes(media, db, options = {}) {
+    const tmdbId = await resolveTmdbId(media, db);
+    if (!tmdbId) {
+        console.log(`[EpisodeSync] No TMDB ID for: ${media.title}`);
+        return null;
+    }
+
+    const show = await getTVShowSeasons(tmdbId, db);
+    if (!show) return null;
+
+    if (show.status) {
+        db.updateAiringStatus(media.id, show.status);
+    }
+
+    const seasonNumbers = show.seasons
+        .map(s => s.season_number)
+        .filter(n => !options.seasons || options.seasons.includes(n));
+
+    let synced = 0;
+    for (const seasonNumber of seasonNumbers) {
+        const season = await getTVSeasonDetails(tmdbId, seasonNumber, db);
+        if (!season) continue;
+
+        for (const ep of season.episodes) {
+            db.upsertEpisodeMetadata({
+                media_id: media.id,
+                season_number: seasonNumber,
+                episode_number: ep.episode_number,
+                title: ep.title,
+                overview: ep.overview,
+                air_date: ep.air_date,
+                monitored: options.monitored !== false
+            });
+            synced++;
+        }
+    }
+
+    console.log(`[EpisodeSync] ${media.title}: ${synced} episodes synced from TMDB (${show.status || 'unknown status'})`);
+    return synced;
+}
+
+/**
+ * Background job to pick up newly announced episodes of series still airing
+ * Only the seasons we already track are refreshed
+ * @param {Object} db - Database instance
+ */
+async function refreshAiringSeries(db) {
+    console.log('[EpisodeSync] Refreshing episodes of airing series...');
+
+    const airing = db.getAiringSeries();
+    console.log(`[EpisodeSync] Found ${airing.length} airing series`);
+
+    for (const media of airing) {
+        const tracked = [...new Set(db.getEpisodes(media.id).map(e => e.season_number))];
+        if (tracked.length === 0) continue;
+
+        const before = db.getEpisodes(media.id).length;
+        try {
+            await syncSeriesEpisodes(media, db, { seasons: tracked });
+        } catch (e) {
+            console.error(`[EpisodeSync] Refresh failed for ${media.title}:`, e.message);
+            continue;
+        }
+
+        const added = db.getEpisodes(media.id).length - before;
+        if (added > 0) {
+            console.log(`[EpisodeSync] 🆕 ${added} new episodes for: ${media.title}`);
+        }
+
+        // Small delay to avoid TMDB rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    console.log('[EpisodeSync] Refresh complete');
+}
+
+module.exports = {
+    syncSeriesEpisodes,
+    refreshAiringSeries
+};
@@ -0,0 +1,175 @@
+/**
+ * Persistent job queue
+ * Jobs are stored in SQLite and run by a pool of workers, so pending work survives a restart
+ */
+
+const { setHostInterval, DEFAULT_HOST_INTERVAL } = require('./rateLimiter');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+const MAX_ATTEMPTS = 3;
+
+// A failed job is retried after 30s, then 60s... (a timing-out addon gets time to recover)
+const RETRY_DELAY = 30 * 1000;
+
+// Finished jobs are kept for a week for troubleshooting
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Safety net: pick up jobs even if nobody pumps the queue
+const POLL_INTERVAL = 5000;
+
+// How often waitForJobs looks at the jobs it waits for
+const WAIT_INTERVAL = 2000;
+
+const handlers = {};
+let activeWorkers = 0;
+let started = false;
+
+/**
+ * Register the function that runs jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, db) => void
+ */
+function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+/**
+ * Worker concurrency from settings (job_concurrency)
+ * @param {Object} db - Database instance
+ * @returns {number}
+ */
+function getConcurrency(db) {
+    const value = parseInt(db.getSetting('job_concurrency'));
+    if (!value || value < 1) return DEFAULT_CONCURRENCY;
+    return Math.min(value, MAX_CONCURRENCY);
+}
+
+/**
+ * Add a job to the queue and wake up the workers
+ * @param {string} type - Job type
+ * @param {Object} payload - Job data (stored as JSON)
+ * @param {Object} db - Database instance
+ * @param {string} jobKey - Optional key; a job with the same type and key still pending is not queued twice
+ * @returns {number|null} Job ID, or null if already queued
+ */
+function submitJob(type, payload, db, jobKey = null) {
+    const id = db.enqueueJob(type, payload, jobKey);
+    if (id) {
+        setImmediate(() => pumpQueue(db));
+    }
+    return id;
+}
+
+/**
+ * Start as many jobs as there are free workers
+ * @param {Object} db - Database instance
+ */
+function pumpQueue(db) {
+    if (!started) return;
+
+    // Addon rate limit may have been changed from the settings
+    setHostInterval(parseInt(db.getSetting('addon_rate_limit_ms') ?? DEFAULT_HOST_INTERVAL));
+
+    const concurrency = getConcurrency(db);
+    while (activeWorkers < concurrency) {
+        const job = db.claimNextJob();
+        if (!job) break;
+
+        activeWorkers++;
+        runJob(job, db).finally(() => {
+            activeWorkers--;
+            pumpQueue(db);
+        });
+    }
+}
+
+/**
+ * Run a single job, retrying it later (with a growing delay) if it throws
+ * @param {Object} job - Claimed job row
+ * @param {Object} db - Database instance
+ */
+async function runJob(job, db) {
+    const handler = handlers[job.type];
+    if (!handler) {
+        console.error(`[JobQueue] No handler for job type: ${job.type}`);
+        db.finishJob(job.id, `No handler for ${job.type}`);
+        return;
+    }
+
+    try {
+        await handler(job.payload, db);
+        db.finishJob(job.id);
+    } catch (e) {
+        console.error(`[JobQueue] Job ${job.id} (${job.type}) failed, attempt ${job.attempts}/${MAX_ATTEMPTS}:`, e.message);
+        if (job.attempts < MAX_ATTEMPTS) {
+            const delay = RETRY_DELAY * Math.pow(2, job.attempts - 1);
+            db.retryJob(job.id, e.message, new Date(Date.now() + delay).toISOString());
+        } else {
+            db.finishJob(job.id, e.message);
+        }
+    }
+}
+
+/**
+ * Wait until jobs are done (or failed for good), or until the deadline
+ * @param {number[]} ids - Job IDs
+ * @param {Object} db - Database instance
+ * @param {number} timeoutMs - Longest wait
+ * @returns {Promise<Object>} { done, failed, pending } job counts (pending > 0 when the wait timed out)
+ */
+async function waitForJobs(ids, db, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+        const stats = db.getJobStats(ids);
+        const pending = stats.queued + stats.running;
+        if (pending === 0 || Date.now() >= deadline) {
+            return { done: stats.done, failed: stats.failed, pending };
+        }
+        await new Promise(resolve => setTimeout(resolve, WAIT_INTERVAL));
+    }
+}
+
+/**
+ * Start the workers and resume jobs interrupted by a restart
+ * @param {Object} db - Database instance
+ */
+function startJobQueue(db) {
+    if (started) return;
+    started = true;
+
+    const resumed = db.requeueRunningJobs();
+    if (resumed > 0) {
+        console.log(`[JobQueue] Resuming ${resumed} interrupted jobs`);
+    }
+
+    setInterval(() => pumpQueue(db), POLL_INTERVAL);
+    setInterval(() => {
+        const purged = db.purgeFinishedJobs(new Date(Date.now() - JOB_RETENTION).toISOString());
+        if (purged > 0) console.log(`[JobQueue] Purged ${purged} finished jobs`);
+    }, 24 * 60 * 60 * 1000);
+
+    console.log(`[JobQueue] Started (${getConcurrency(db)} workers)`);
+    pumpQueue(db);
+}
+
+/**
+ * Queue status for the WebUI
+ * @param {Object} db - Database instance
+ * @returns {Object} Job counts by status, active workers and concurrency
+ */
+function getQueueStatus(db) {
+    return {
+        ...db.getJobStats(),
+        activeWorkers,
+        concurrency: getConcurrency(db)
+    };
+}
+
+module.exports = {
+    registerJobHandler,
+    submitJob,
+    waitForJobs,
+    startJobQueue,
+    getQueueStatus
+};
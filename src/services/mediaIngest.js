@@ -0,0 +1,285 @@
+/**
+ * Media ingestion
+ * The single way content enters a user's catalog, whether it's requested from Jellyseerr
+ * (Radarr/Sonarr APIs), the WebUI or an import: per-user de-duplication, TMDB enrichment,
+ * episodes for series, then the release gate and the first stream check (whose result is
+ * reported to Jellyseerr / Discord for requests).
+ */
+
+const { searchTMDB, getTMDBDetails, findByExternalId, getMovieReleaseDates, normalizeGenres } = require('./tmdb');
+const { syncSeriesEpisodes } = require('./episodeSync');
+const { queueStreamCheck } = require('./streamChecker');
+const { isReleased, getReleaseDay, resetRecheckState } = require('./recheckPolicy');
+
+// Episodes per season when TMDB can't be reached and the request doesn't say
+const PLACEHOLDER_EPISODES = 10;
+
+/**
+ * A user's copy of a title, whatever its state (archived, in the trash...)
+ * @param {number} userId - User ID
+ * @param {Object} ids - { type, tmdbId, imdbId, tvdbId }
+ * @param {Object} db - Database instance
+ * @returns {Object|null}
+ */
+function findExistingMedia(userId, { type, tmdbId = null, imdbId = null, tvdbId = null }, db) {
+    if (!tmdbId && !imdbId && !tvdbId) return null;
+    return db.findUserMedia(userId, { type, tmdbId, imdbId, tvdbId });
+}
+
+// TMDB ID of a request that only has another ID or a title
+async function resolveTmdbId(request, db) {
+    const tmdbType = request.type === 'movie' ? 'movie' : 'tv';
+
+    for (const [source, id] of [['imdb_id', request.imdb_id], ['tvdb_id', request.tvdb_id]]) {
+        if (!id) continue;
+        const found = await findByExternalId(id, source, db);
+        const result = found?.[`${tmdbType}_results`]?.[0];
+        if (result) return result.id;
+    }
+
+    if (request.title) {
+        const results = await searchTMDB(request.title, tmdbType, db);
+        if (results.length > 0) {
+            console.log(`[Ingest] Found TMDB ID via search for ${request.title}: ${results[0].tmdb_id}`);
+            return results[0].tmdb_id;
+        }
+    }
+    return null;
+}
+
+/**
+ * Complete a request from TMDB: TMDB ID if missing, then whatever metadata it lacks
+ * (the IMDB ID is what stream checks search addons with, the rating sorts catalogs)
+ * @param {Object} request - Media fields (type, tmdb_id, imdb_id, tvdb_id, title, poster...)
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} The completed request (a copy)
+ */
+async function enrichRequest(request, db) {
+    const enriched = { ...request };
+
+    try {
+        if (!enriched.tmdb_id) {
+            enriched.tmdb_id = await resolveTmdbId(enriched, db);
+        }
+        // Jellyseerr sends everything but the rating (catalog sort), which needs the details anyway
+        const hasRating = enriched.rating !== undefined && enriched.rating !== null;
+        if (!enriched.tmdb_id || (enriched.poster && enriched.imdb_id && enriched.title && hasRating)) {
+            return enriched;
+        }
+
+        const details = await getTMDBDetails(enriched.tmdb_id, enriched.type, db);
+        if (details) {
+            for (const field of ['title', 'original_title', 'year', 'poster', 'backdrop', 'overview', 'runtime', 'imdb_id']) {
+                if (!enriched[field] && details[field]) enriched[field] = details[field];
+            }
+            if (!enriched.genres?.length && details.genres) enriched.genres = details.genres;
+            if (!hasRating && details.vote_average !== undefined) enriched.rating = details.vote_average;
+        }
+    } catch (e) {
+        console.error(`[Ingest] TMDB enrichment failed for ${request.title || request.tmdb_id}:`, e.message);
+    }
+    return enriched;
+}
+
+// Episodes of the requested seasons (all seasons if none were given)
+async function addSeriesEpisodes(media, request, db) {
+    const seasons = Array.isArray(request.seasons) ? request.seasons : undefined;
+    if (seasons && seasons.length === 0) return;
+
+    const synced = await syncSeriesEpisodes(media, db, { seasons });
+    if (synced !== null || !seasons) return;
+
+    // TMDB unreachable: placeholders for the seasons we have nothing of, the next episode sync replaces them
+    const known = new Set(db.getEpisodes(media.id).map(ep => ep.season_number));
+    for (const seasonNumber of seasons.filter(n => !known.has(n))) {
+        const count = request.episode_counts?.[seasonNumber] || PLACEHOLDER_EPISODES;
+        for (let ep = 1; ep <= count; ep++) {
+            db.addEpisode({ media_id: media.id, season_number: seasonNumber, episode_number: ep, monitored: true });
+        }
+    }
+}
+
+/**
+ * Start following a media item: movies not out yet wait for their release day,
+ * everything else gets a stream check
+ * @param {Object} media - Media object
+ * @param {Object} db - Database instance
+ * @param {Object} options - { source: log prefix / job source, notify: report the first check to Jellyseerr / Discord }
+ * @returns {Promise<Object>} The media as stored
+ */
+async function startTracking(media, db, options = {}) {
+    const source = options.source || 'Ingest';
+    if (media.archived_at || media.deleted_at) return media;
+
+    if (media.type === 'movie') {
+        const knownDates = media.theatrical_release || media.digital_release || media.physical_release;
+        if (!knownDates && media.tmdb_id) {
+            const dates = await getMovieReleaseDates(media.tmdb_id, db);
+            if (dates) {
+                db.updateReleaseDates(media.id, dates);
+                Object.assign(media, { theatrical_release: dates.theatrical, digital_release: dates.digital, physical_release: dates.physical });
+            }
+        }
+
+        // No check and no "no source" alert before the release day
+        if (!isReleased(media)) {
+            db.updateStatus(media.id, 'waiting_release');
+            console.log(`[${source}] ${media.title} is not out yet (${getReleaseDay(media)}), waiting for release`);
+            return db.getMediaById(media.id);
+        }
+    }
+
+    if (media.status === 'waiting_release') db.updateStatus(media.id, 'pending');
+    queueStreamCheck(media, db, { notify: !!options.notify, source });
+    return db.getMediaById(media.id);
+}
+
+// Requested again: back from the trash, the archive, or the abandoned items
+async function reactivateMedia(media, db, options) {
+    const source = options.source || 'Ingest';
+    let reactivated = media;
+
+    if (media.deleted_at) {
+        reactivated = db.restoreMedia(media.id);
+    } else if (media.archived_at) {
+        reactivated = db.unarchiveMedia(media.id);
+    } else if (media.status === 'abandoned') {
+        resetRecheckState(media, db);
+        reactivated = db.getMediaById(media.id);
+    } else {
+        return null;
+    }
+
+    console.log(`[${source}] ${media.title} requested again, back in the catalog`);
+    return startTracking(reactivated, db, options);
+}
+
+/**
+ * Add a movie or series to a user's catalog
+ * A title the user already has is not added twice: it's returned as is, or brought back
+ * if it was deleted, archived or abandoned (unless options.reactivate is false); seasons of a
+ * series it doesn't follow yet are added
+ * @param {Object} request - Media fields: user_id, type, tmdb_id, imdb_id, tvdb_id, title, original_title,
+ *   year, poster, backdrop, overview, genres, runtime, rating, monitored, quality_profile_id; series can
+ *   add seasons (season numbers, all if omitted) and episode_counts ({ season: count }, for placeholders)
+ * @param {Object} db - Database instance
+ * @param {Object} options - { source, notify, enrich: false to skip TMDB, reactivate, syncEpisodes: false to
+ *   skip the episode list, afterAdd: async (media) => {} run before the first check }
+ * @returns {Promise<Object>} { media, created, reactivated, addedSeasons }
+ */
+async function ingestMedia(request, db, options = {}) {
+    if (!['movie', 'series'].includes(request.type)) {
+        throw new Error('type must be movie or series');
+    }
+    const source = options.source || 'Ingest';
+    const data = options.enrich === false ? { ...request } : await enrichRequest(request, db);
+
+    const existing = findExistingMedia(data.user_id, {
+        type: data.type, tmdbId: data.tmdb_id, imdbId: data.imdb_id, tvdbId: data.tvdb_id
+    }, db);
+    if (existing) {
+        const reactivated = options.reactivate === false ? null : await reactivateMedia(existing, db, options);
+        let media = reactivated || existing;
+
+        // Seasons asked for on top of the ones already followed (e.g. more seasons requested in Jellyseerr)
+        let addedSeasons = [];
+        if (media.type === 'series' && Array.isArray(data.seasons) && data.seasons.length > 0 && !media.archived_at && !media.deleted_at) {
+            const monitoredSeasons = Object.fromEntries(data.seasons.map(seasonNumber => [seasonNumber, true]));
+            ({ media, addedSeasons } = await updateRequest(media, { monitored_seasons: monitoredSeasons, episode_counts: data.episode_counts }, db, options));
+        }
+
+        if (!reactivated && addedSeasons.length === 0) {
+            console.log(`[${source}] ${existing.title} already in the catalog of user ${data.user_id} (${existing.id})`);
+        }
+        return { media, created: false, reactivated: !!reactivated, addedSeasons };
+    }
+
+    if (!data.title) {
+        throw new Error('Title unknown (not in the request and not found on TMDB)');
+    }
+
+    let media = db.addMedia({
+        ...data,
+        genres: await normalizeGenres(data.genres, data.type, db),
+        status: 'pending', // Will be updated after stream check
+        monitored: data.monitored !== false
+    });
+    console.log(`[${source}] ${media.type === 'movie' ? 'Movie' : 'Series'} added: ${media.id} ${media.title} (user ${media.user_id})`);
+
+    if (media.type === 'series' && options.syncEpisodes !== false) {
+        await addSeriesEpisodes(media, data, db);
+    }
+    if (options.afterAdd) {
+        await options.afterAdd(media);
+    }
+
+    media = await startTracking(db.getMediaById(media.id), db, options);
+    return { media, created: true, reactivated: false, addedSeasons: [] };
+}
+
+/**
+ * Apply an update of a request (Radarr/Sonarr PUT): monitored, quality profile, tags and, for
+ * series, the monitored seasons
+ * Newly monitored seasons get their episodes, unmonitored ones lose them; new seasons (or
+ * monitoring again) start a stream check
+ * @param {Object} media - Media object
+ * @param {Object} update - { monitored, quality_profile_id, tags, monitored_seasons: { season: boolean },
+ *   episode_counts: { season: count } }; fields left out are not changed
+ * @param {Object} db - Database instance
+ * @param {Object} options - { source, notify }
+ * @returns {Promise<Object>} { media, addedSeasons, removedSeasons }
+ */
+async function updateRequest(media, update, db, options = {}) {
+    const source = options.source || 'Ingest';
+    const monitored = update.monitored === undefined ? !!media.monitored : update.monitored !== false;
+
+    db.updateMediaRequest(media.id, {
+        monitored,
+        qualityProfileId: update.quality_profile_id === undefined ? media.quality_profile_id : update.quality_profile_id,
+        tags: Array.isArray(update.tags) ? update.tags : media.tags
+    });
+
+    const addedSeasons = [];
+    const removedSeasons = [];
+    if (media.type === 'series' && update.monitored_seasons) {
+        const episodes = db.getEpisodes(media.id);
+        const monitoredSeasons = new Set(episodes.filter(ep => ep.monitored).map(ep => ep.season_number));
+        const knownSeasons = new Set(episodes.map(ep => ep.season_number));
+
+        for (const [season, wanted] of Object.entries(update.monitored_seasons)) {
+            const seasonNumber = parseInt(season);
+            if (wanted && !monitoredSeasons.has(seasonNumber)) addedSeasons.push(seasonNumber);
+            if (!wanted && knownSeasons.has(seasonNumber)) removedSeasons.push(seasonNumber);
+        }
+
+        for (const seasonNumber of removedSeasons) {
+            db.deleteSeasonEpisodes(media.id, seasonNumber);
+        }
+        if (addedSeasons.length > 0) {
+            addedSeasons.forEach(seasonNumber => db.setSeasonMonitored(media.id, seasonNumber, true));
+            await addSeriesEpisodes(media, { seasons: addedSeasons, episode_counts: update.episode_counts }, db);
+        }
+
+        if (removedSeasons.length > 0) console.log(`[${source}] ${media.title}: season(s) ${removedSeasons.join(', ')} no longer monitored`);
+        if (addedSeasons.length > 0) console.log(`[${source}] ${media.title}: season(s) ${addedSeasons.join(', ')} now monitored`);
+    }
+
+    // Something new to look for: checks start over, even for an abandoned item
+    const current = db.getMediaById(media.id);
+    if (monitored && (addedSeasons.length > 0 || !media.monitored)) {
+        resetRecheckState(current, db);
+        return { media: await startTracking(db.getMediaById(media.id), db, options), addedSeasons, removedSeasons };
+    }
+    if (!monitored && media.monitored) {
+        console.log(`[${source}] ${media.title} no longer monitored, rechecks stop`);
+    }
+    return { media: current, addedSeasons, removedSeasons };
+}
+
+module.exports = {
+    ingestMedia,
+    updateRequest,
+    findExistingMedia,
+    enrichRequest,
+    startTracking
+};
@@ -0,0 +1,294 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Throwaway database, TMDB answered by the stub below
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'seerr-catalog-test-'));
+process.env.TMDB_API_KEY = 'test';
+
+const db = require('../db');
+const { ingestMedia, findExistingMedia, updateRequest } = require('./mediaIngest');
+const { recheckUnavailableMedia, backfillRatings } = require('./streamChecker');
+const { setHostInterval } = require('./rateLimiter');
+
+const FUTURE = `${new Date().getFullYear() + 2}-06-01`;
+const LAST_WEEK = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+// TMDB path -> response body (a missing path is a 404)
+const tmdb = {
+    '/3/movie/100': { id: 100, title: 'Matrix', original_title: 'The Matrix', release_date: '1999-03-31', imdb_id: 'tt0133093', poster_path: '/matrix.jpg', genres: [{ name: 'Action' }], vote_average: 8.2 },
+    '/3/movie/100/release_dates': { results: [{ release_dates: [{ type: 3, release_date: '1999-03-31T00:00:00.000Z' }] }] },
+    '/3/movie/101': { id: 101, title: 'Upcoming', release_date: FUTURE, imdb_id: 'tt9000101', genres: [] },
+    '/3/movie/101/release_dates': { results: [{ release_dates: [{ type: 3, release_date: `${FUTURE}T00:00:00.000Z` }] }] },
+    '/3/movie/103': { id: 103, title: 'In Cinemas', release_date: LAST_WEEK, imdb_id: 'tt9000103', genres: [] },
+    '/3/movie/103/release_dates': { results: [{ release_dates: [{ type: 3, release_date: `${LAST_WEEK}T00:00:00.000Z` }] }] },
+    '/3/movie/102': { id: 102, title: 'Trashed', release_date: '2001-01-01', imdb_id: 'tt9000102', genres: [] },
+    '/3/movie/102/release_dates': { results: [] },
+    '/3/tv/200': { id: 200, name: 'Breaking Bad', first_air_date: '2008-01-20', external_ids: { imdb_id: 'tt0903747' }, status: 'Ended', genres: [], seasons: [{ season_number: 1, episode_count: 2 }, { season_number: 2, episode_count: 3 }] },
+    '/3/tv/200/season/1': { episodes: [{ episode_number: 1, name: 'Pilot' }, { episode_number: 2, name: 'Cat\'s in the Bag...' }] },
+    '/3/tv/200/season/2': { episodes: [{ episode_number: 1 }, { episode_number: 2 }, { episode_number: 3 }] },
+    '/3/tv/201': { id: 201, name: 'Better Call Saul', first_air_date: '2015-02-08', external_ids: { imdb_id: 'tt3032476' }, genres: [], vote_average: 8.7, seasons: [] },
+    '/3/find/tt0903747': { movie_results: [], tv_results: [{ id: 200, name: 'Breaking Bad' }] },
+    '/3/genre/movie/list': { genres: [{ id: 28, name: 'Action' }, { id: 18, name: 'Drame' }] },
+    '/3/genre/tv/list': { genres: [{ id: 18, name: 'Drame' }, { id: 10765, name: 'Science-Fiction & Fantastique' }] }
+};
+
+let fetchCalls = [];
+let alice;
+let bob;
+
+before(() => {
+    global.fetch = async (url) => {
+        const { pathname } = new URL(url);
+        fetchCalls.push(pathname);
+        const body = tmdb[pathname] || (pathname.startsWith('/3/find/') ? { movie_results: [], tv_results: [] } : null);
+        if (pathname.startsWith('/3/search/')) return { ok: true, json: async () => ({ results: [] }) };
+        return body ? { ok: true, json: async () => body } : { ok: false, status: 404, json: async () => ({}) };
+    };
+    alice = db.createUser('alice', 'password');
+    bob = db.createUser('bob', 'password');
+});
+
+after(() => {
+    db.db.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function checksFor(mediaId) {
+    return db.db.prepare(`SELECT * FROM jobs WHERE type = 'stream_check' AND job_key = ?`).all(`media-${mediaId}`)
+        .map(job => JSON.parse(job.payload));
+}
+
+test('adds a movie with TMDB metadata and queues a notified stream check', async () => {
+    const { media, created } = await ingestMedia(
+        { user_id: alice.id, type: 'movie', tmdb_id: 100, title: 'The Matrix' },
+        db, { source: 'Radarr', notify: true }
+    );
+
+    assert.equal(created, true);
+    assert.equal(media.title, 'The Matrix');
+    assert.equal(media.imdb_id, 'tt0133093');
+    assert.equal(media.poster, 'https://image.tmdb.org/t/p/w500/matrix.jpg');
+    assert.deepEqual(media.genres, ['Action']);
+    assert.equal(media.rating, 8.2);
+    assert.equal(media.status, 'pending');
+    assert.equal(media.theatrical_release, '1999-03-31');
+    assert.deepEqual(checksFor(media.id), [{ mediaId: media.id, notify: true, source: 'Radarr' }]);
+});
+
+test('de-duplicates per user', async () => {
+    const first = await ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 100 }, db, { source: 'WebUI' });
+    assert.equal(first.created, false);
+    assert.equal(first.reactivated, false);
+    assert.equal(first.media.user_id, alice.id);
+    assert.equal(checksFor(first.media.id).length, 1);
+
+    // Another user requesting the same title gets their own copy
+    const other = await ingestMedia({ user_id: bob.id, type: 'movie', tmdb_id: 100 }, db, { source: 'Radarr' });
+    assert.equal(other.created, true);
+    assert.notEqual(other.media.id, first.media.id);
+    assert.equal(other.media.user_id, bob.id);
+});
+
+test('requests with full metadata still get their TMDB rating', async () => {
+    const { media } = await ingestMedia(
+        { user_id: bob.id, type: 'series', tmdb_id: 201, imdb_id: 'tt3032476', title: 'Better Call Saul', poster: 'p.jpg', seasons: [] },
+        db, { source: 'Sonarr' }
+    );
+    assert.equal(media.rating, 8.7);
+    assert.equal(media.poster, 'p.jpg');
+});
+
+test('missing ratings are looked up once, not on every run', async () => {
+    setHostInterval(0);
+    const rated = db.addMedia({ user_id: alice.id, type: 'series', tmdb_id: 201, title: 'Better Call Saul' });
+    const unknown = db.addMedia({ user_id: alice.id, type: 'movie', tmdb_id: 998, title: 'Not on TMDB' });
+
+    await backfillRatings(db);
+    assert.equal(db.getMediaById(rated.id).rating, 8.7);
+    assert.equal(db.getMediaById(unknown.id).rating, null);
+
+    fetchCalls = [];
+    await backfillRatings(db);
+    assert.ok(!fetchCalls.includes('/3/movie/998'));
+});
+
+test('genre IDs are named from the TMDB genre lists', async () => {
+    const { media } = await ingestMedia(
+        { user_id: alice.id, type: 'movie', tmdb_id: 104, title: 'Not on TMDB', genres: [28, '18', 'Policier', 10765, 1] },
+        db, { source: 'Radarr' }
+    );
+    assert.deepEqual(media.genres, ['Action', 'Drame', 'Policier', 'Science-Fiction & Fantastique']);
+});
+
+test('finds series by TVDB ID when there is no TMDB ID', async () => {
+    const { media } = await ingestMedia(
+        { user_id: alice.id, type: 'series', tvdb_id: 81189, title: 'Some Show', poster: 'p.jpg', seasons: [] },
+        db, { source: 'Sonarr' }
+    );
+    assert.equal(media.tmdb_id, null);
+
+    assert.equal(findExistingMedia(alice.id, { type: 'series', tvdbId: 81189 }, db).id, media.id);
+    assert.equal(findExistingMedia(bob.id, { type: 'series', tvdbId: 81189 }, db), null);
+
+    const again = await ingestMedia({ user_id: alice.id, type: 'series', tvdb_id: 81189, title: 'Some Show' }, db, { source: 'Sonarr' });
+    assert.equal(again.created, false);
+    assert.equal(again.media.id, media.id);
+});
+
+test('movies not out yet wait for their release without a stream check', async () => {
+    const { media } = await ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 101 }, db, { source: 'Radarr', notify: true });
+
+    assert.equal(media.status, 'waiting_release');
+    assert.equal(media.title, 'Upcoming');
+    assert.deepEqual(checksFor(media.id), []);
+});
+
+test('movies in cinemas without a digital or physical date wait too', async () => {
+    const { media } = await ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 103 }, db, { source: 'Radarr', notify: true });
+
+    assert.equal(media.status, 'waiting_release');
+    assert.equal(media.theatrical_release, LAST_WEEK);
+    assert.deepEqual(checksFor(media.id), []);
+});
+
+test('series get the episodes of the requested seasons only', async () => {
+    const { media } = await ingestMedia(
+        { user_id: alice.id, type: 'series', tmdb_id: 200, imdb_id: 'tt0903747', seasons: [2] },
+        db, { source: 'Sonarr', notify: true }
+    );
+
+    const episodes = db.getEpisodes(media.id);
+    assert.equal(episodes.length, 3);
+    assert.ok(episodes.every(ep => ep.season_number === 2));
+    assert.equal(media.airing_status, 'Ended');
+    assert.equal(checksFor(media.id).length, 1);
+});
+
+test('requesting more seasons of a series already followed adds them', async () => {
+    const existing = db.findUserMedia(alice.id, { type: 'series', tmdbId: 200 });
+
+    const { media, created, addedSeasons } = await ingestMedia(
+        { user_id: alice.id, type: 'series', tmdb_id: 200, imdb_id: 'tt0903747', seasons: [1, 2] },
+        db, { source: 'Sonarr', notify: true }
+    );
+    assert.equal(created, false);
+    assert.equal(media.id, existing.id);
+    assert.deepEqual(addedSeasons, [1]);
+    assert.equal(db.getEpisodes(media.id).length, 5);
+
+    const again = await ingestMedia({ user_id: alice.id, type: 'series', tmdb_id: 200, seasons: [2] }, db, { source: 'Sonarr' });
+    assert.deepEqual(again.addedSeasons, []);
+    assert.equal(db.getEpisodes(media.id).length, 5);
+});
+
+test('series get placeholder episodes when TMDB has no season list', async () => {
+    const { media } = await ingestMedia(
+        { user_id: bob.id, type: 'series', tmdb_id: 404, title: 'Unknown Show', poster: 'p.jpg', imdb_id: 'tt404', seasons: [1, 3], episode_counts: { 1: 4 } },
+        db, { source: 'Sonarr' }
+    );
+
+    const episodes = db.getEpisodes(media.id);
+    assert.equal(episodes.filter(ep => ep.season_number === 1).length, 4);
+    assert.equal(episodes.filter(ep => ep.season_number === 3).length, 10);
+});
+
+test('a deleted title requested again comes back from the trash', async () => {
+    const { media } = await ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 102 }, db, { source: 'Radarr' });
+    db.db.prepare(`UPDATE jobs SET status = 'done' WHERE job_key = ?`).run(`media-${media.id}`);
+    db.deleteMedia(media.id);
+
+    // Imports leave it in the trash
+    const skipped = await ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 102 }, db, { source: 'Import', reactivate: false });
+    assert.equal(skipped.created, false);
+    assert.equal(skipped.reactivated, false);
+    assert.ok(db.getMediaById(media.id).deleted_at);
+
+    const requested = await ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 102 }, db, { source: 'Radarr', notify: true });
+    assert.equal(requested.created, false);
+    assert.equal(requested.reactivated, true);
+    assert.equal(requested.media.deleted_at, null);
+    assert.equal(checksFor(media.id).length, 2);
+});
+
+test('abandoned titles requested again start checking over', async () => {
+    const media = db.getMediaById((await ingestMedia({ user_id: bob.id, type: 'movie', tmdb_id: 102 }, db, { source: 'Radarr' })).media.id);
+    db.updateStatus(media.id, 'abandoned');
+    db.updateRecheckState(media.id, 8, null);
+
+    const { reactivated, media: requested } = await ingestMedia({ user_id: bob.id, type: 'movie', tmdb_id: 102 }, db, { source: 'WebUI' });
+    assert.equal(reactivated, true);
+    assert.equal(requested.status, 'pending');
+    assert.equal(requested.check_attempts, 0);
+});
+
+test('imports can skip TMDB and restore their own data before the first check', async () => {
+    fetchCalls = [];
+    let checksBeforeHook = null;
+
+    const { media } = await ingestMedia(
+        { user_id: bob.id, type: 'series', tmdb_id: 300, title: 'Imported Show', imdb_id: 'tt300' },
+        db, {
+            source: 'Import',
+            enrich: false,
+            syncEpisodes: false,
+            afterAdd: async (added) => {
+                checksBeforeHook = checksFor(added.id).length;
+                db.addEpisode({ media_id: added.id, season_number: 1, episode_number: 1, monitored: true });
+            }
+        }
+    );
+
+    assert.deepEqual(fetchCalls, []);
+    assert.equal(checksBeforeHook, 0);
+    assert.equal(db.getEpisodes(media.id).length, 1);
+    assert.deepEqual(checksFor(media.id), [{ mediaId: media.id, notify: false, source: 'Import' }]);
+});
+
+test('rejects requests without a usable type or title', async () => {
+    await assert.rejects(ingestMedia({ user_id: alice.id, type: 'album', tmdb_id: 1 }, db), /type must be movie or series/);
+    await assert.rejects(ingestMedia({ user_id: alice.id, type: 'movie', tmdb_id: 999 }, db), /Title unknown/);
+});
+
+test('updates add newly monitored seasons, drop unmonitored ones and check the new episodes', async () => {
+    const { media } = await ingestMedia({ user_id: bob.id, type: 'series', tmdb_id: 200, imdb_id: 'tt0903747', seasons: [1] }, db, { source: 'Sonarr' });
+    db.db.prepare(`UPDATE jobs SET status = 'done' WHERE job_key = ?`).run(`media-${media.id}`);
+
+    const { addedSeasons, removedSeasons } = await updateRequest(media, { monitored_seasons: { 1: false, 2: true } }, db, { source: 'Sonarr', notify: true });
+
+    assert.deepEqual(addedSeasons, [2]);
+    assert.deepEqual(removedSeasons, [1]);
+    assert.deepEqual(db.getEpisodes(media.id).map(ep => `${ep.season_number}x${ep.episode_number}`), ['2x1', '2x2', '2x3']);
+    assert.equal(checksFor(media.id).filter(job => job.notify).length, 1);
+
+    // Same seasons again: nothing to do
+    const again = await updateRequest(db.getMediaById(media.id), { monitored_seasons: { 1: false, 2: true } }, db, { source: 'Sonarr' });
+    assert.deepEqual(again.addedSeasons, []);
+    assert.deepEqual(again.removedSeasons, []);
+    assert.equal(checksFor(media.id).length, 2);
+});
+
+test('updates store monitored, profile and tags; unmonitored items are no longer rechecked', async () => {
+    const profile = db.createQualityProfile(alice.id, { name: 'Test' });
+    const movie = db.findUserMedia(alice.id, { type: 'movie', tmdbId: 100 });
+    db.db.prepare(`UPDATE jobs SET status = 'done' WHERE job_key = ?`).run(`media-${movie.id}`);
+
+    const { media } = await updateRequest(movie, { monitored: false, quality_profile_id: profile.id, tags: [3, 4] }, db, { source: 'Radarr' });
+    assert.equal(media.monitored, 0);
+    assert.equal(media.quality_profile_id, profile.id);
+    assert.deepEqual(media.tags, [3, 4]);
+    assert.ok(!db.getMediaNeedingStreamCheck().some(m => m.id === movie.id));
+
+    const checks = checksFor(movie.id).length;
+    recheckUnavailableMedia(db);
+    assert.equal(checksFor(movie.id).length, checks);
+
+    // Fields left out are kept; monitoring again starts a check
+    const { media: remonitored } = await updateRequest(media, { monitored: true }, db, { source: 'Radarr', notify: true });
+    assert.equal(remonitored.monitored, 1);
+    assert.equal(remonitored.quality_profile_id, profile.id);
+    assert.deepEqual(remonitored.tags, [3, 4]);
+    assert.deepEqual(checksFor(movie.id).at(-1), { mediaId: movie.id, notify: true, source: 'Radarr' });
+});
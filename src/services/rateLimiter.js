@@ -0,0 +1,49 @@
+/**
+ * Per-host rate limiter
+ * Spaces out requests to the same addon host so parallel checks don't hammer it
+ */
+
+// Default delay between two requests to the same host
+const DEFAULT_HOST_INTERVAL = 250;
+
+let hostInterval = DEFAULT_HOST_INTERVAL;
+
+// host -> timestamp of the next free slot
+const nextSlots = new Map();
+
+/**
+ * Set the minimum delay between two requests to the same host
+ * @param {number} ms - Delay in milliseconds
+ */
+function setHostInterval(ms) {
+    hostInterval = Number.isFinite(ms) && ms >= 0 ? ms : DEFAULT_HOST_INTERVAL;
+}
+
+/**
+ * Wait until a request to this URL's host is allowed
+ * @param {string} url - URL about to be fetched
+ * @returns {Promise<void>}
+ */
+async function waitForHost(url) {
+    let host;
+    try {
+        host = new URL(url).host;
+    } catch (e) {
+        return;
+    }
+
+    // Reserve the next slot right away so concurrent callers queue up behind us
+    const now = Date.now();
+    const slot = Math.max(now, nextSlots.get(host) || 0);
+    nextSlots.set(host, slot + hostInterval);
+
+    if (slot > now) {
+        await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+}
+
+module.exports = {
+    setHostInterval,
+    waitForHost,
+    DEFAULT_HOST_INTERVAL
+};
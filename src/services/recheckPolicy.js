@@ -0,0 +1,219 @@
+/**
+ * Recheck policy
+ * Decides when an unavailable item is checked again: exponential backoff after each
+ * failed check, faster checks around its digital/physical release, and abandon after
+ * too many failed checks (recheck_max_attempts setting).
+ * Titles not out yet wait for their release day (status waiting_release)
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// First recheck 12h after a failed check, doubling each time, up to 2 weeks
+const BASE_INTERVAL = 12 * HOUR;
+const MAX_INTERVAL = 14 * DAY;
+
+// From 3 days before to 3 days after a release date, check every 6 hours
+const RELEASE_WINDOW = 3 * DAY;
+const RELEASE_INTERVAL = 6 * HOUR;
+
+// Without a digital/physical date, a film is expected this long after its theatrical release
+const THEATRICAL_WINDOW = 90 * DAY;
+
+// Items never checked by the policy yet are rechecked 24h after their last check
+const LEGACY_INTERVAL = DAY;
+
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+/**
+ * Failed checks before an item is abandoned (0 = never)
+ * @param {Object} db - Database instance
+ * @returns {number}
+ */
+function getMaxAttempts(db) {
+    const value = db.getSetting('recheck_max_attempts');
+    if (value === null || value === '' || isNaN(value)) return DEFAULT_MAX_ATTEMPTS;
+    return Math.max(0, parseInt(value));
+}
+
+function getReleaseTimes(media) {
+    return [media.digital_release, media.physical_release]
+        .filter(Boolean)
+        .map(date => new Date(`${date}T00:00:00`).getTime());
+}
+
+/**
+ * Whether a digital/physical release date of the item is within a few days of now
+ * @param {Object} media - Media object
+ * @param {number} now - Timestamp
+ * @returns {boolean}
+ */
+function isNearRelease(media, now = Date.now()) {
+    return getReleaseTimes(media).some(time => Math.abs(time - now) <= RELEASE_WINDOW);
+}
+
+/**
+ * Whether the item still has a digital/physical release to come
+ * @param {Object} media - Media object
+ * @param {number} now - Timestamp
+ * @returns {boolean}
+ */
+function hasUpcomingRelease(media, now = Date.now()) {
+    return getReleaseTimes(media).some(time => time > now);
+}
+
+function toLocalDay(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Day a title can be expected on streaming sources: its first digital/physical release.
+ * Being in cinemas doesn't make a film available: without a digital/physical date, it's
+ * expected some time after its theatrical release (old films often have no other date)
+ * @param {Object} media - Media object
+ * @returns {string|null} YYYY-MM-DD, or null if no release date is known
+ */
+function getReleaseDay(media) {
+    const homeRelease = [media.digital_release, media.physical_release].filter(Boolean).sort()[0];
+    if (homeRelease) return homeRelease;
+    if (!media.theatrical_release) return null;
+    return toLocalDay(new Date(new Date(`${media.theatrical_release}T00:00:00`).getTime() + THEATRICAL_WINDOW));
+}
+
+/**
+ * Whether a title is out (titles without known release dates are considered out)
+ * @param {Object} media - Media object
+ * @param {Date} now - Date
+ * @returns {boolean}
+ */
+function isReleased(media, now = new Date()) {
+    const releaseDay = getReleaseDay(media);
+    return !releaseDay || releaseDay <= toLocalDay(now);
+}
+
+/**
+ * Whether a film is showing in cinemas but not out on streaming sources yet
+ * @param {Object} media - Media object
+ * @param {Date} now - Date
+ * @returns {boolean}
+ */
+function isInCinemas(media, now = new Date()) {
+    return !!media.theatrical_release && media.theatrical_release <= toLocalDay(now) && !isReleased(media, now);
+}
+
+/**
+ * When to check an item again after a failed check
+ * @param {Object} media - Media object
+ * @param {number} attempts - Failed checks in a row, including this one
+ * @param {number} now - Timestamp
+ * @returns {Date}
+ */
+function computeNextCheck(media, attempts, now = Date.now()) {
+    if (isNearRelease(media, now)) {
+        return new Date(now + RELEASE_INTERVAL);
+    }
+
+    let next = now + Math.min(BASE_INTERVAL * Math.pow(2, Math.max(attempts - 1, 0)), MAX_INTERVAL);
+
+    // Don't back off past the start of an upcoming release window
+    for (const time of getReleaseTimes(media)) {
+        const windowStart = time - RELEASE_WINDOW;
+        if (windowStart > now && windowStart < next) next = windowStart;
+    }
+
+    return new Date(next);
+}
+
+/**
+ * Whether an unavailable item is due for a recheck
+ * @param {Object} media - Media object
+ * @param {number} now - Timestamp
+ * @returns {boolean}
+ */
+function isDueForRecheck(media, now = Date.now()) {
+    // Unmonitored in Jellyseerr: nothing to look for
+    if (!media.monitored) return false;
+    if (media.status === 'abandoned' || media.status === 'waiting_release') return false;
+    if (media.next_check_at) return new Date(media.next_check_at).getTime() <= now;
+    if (!media.last_stream_check) return true;
+    return now - new Date(media.last_stream_check).getTime() >= LEGACY_INTERVAL;
+}
+
+/**
+ * Whether a series still misses aired monitored episodes
+ * @param {Object} media - Series media object
+ * @param {Object} db - Database instance
+ * @returns {boolean}
+ */
+function hasMissingEpisodes(media, db) {
+    const today = new Date().toISOString().substring(0, 10);
+    return db.getEpisodes(media.id).some(ep =>
+        ep.monitored && !ep.streams_available && (!ep.air_date || ep.air_date <= today)
+    );
+}
+
+/**
+ * Update an item's backoff state after a check
+ * @param {Object} media - Media object (with release dates)
+ * @param {boolean} available - Whether the check found streams
+ * @param {Object} db - Database instance
+ * @returns {Object} { attempts, nextCheckAt, abandoned }
+ */
+function applyRecheckPolicy(media, available, db) {
+    const partial = available && media.type === 'series' && hasMissingEpisodes(media, db);
+
+    // Everything found: nothing left to recheck
+    if (available && !partial) {
+        db.updateRecheckState(media.id, 0, null);
+        if (media.status === 'abandoned' || media.status === 'waiting_release') db.updateStatus(media.id, 'pending');
+        return { attempts: 0, nextCheckAt: null, abandoned: false };
+    }
+
+    // Not out yet (manual check): checks start on release day
+    if (media.status === 'waiting_release') {
+        return { attempts: media.check_attempts || 0, nextCheckAt: null, abandoned: false };
+    }
+
+    const attempts = (media.check_attempts || 0) + 1;
+    const maxAttempts = getMaxAttempts(db);
+
+    // Partially available series and items not released yet are never abandoned
+    if (!partial && maxAttempts > 0 && attempts >= maxAttempts && !hasUpcomingRelease(media)) {
+        db.updateRecheckState(media.id, attempts, null);
+        db.updateStatus(media.id, 'abandoned');
+        console.log(`[RecheckPolicy] ⏹️ ${media.title}: no source after ${attempts} checks, abandoned`);
+        return { attempts, nextCheckAt: null, abandoned: true };
+    }
+
+    const nextCheckAt = computeNextCheck(media, attempts).toISOString();
+    db.updateRecheckState(media.id, attempts, nextCheckAt);
+    console.log(`[RecheckPolicy] ${media.title}: check ${attempts} failed, next check ${nextCheckAt}`);
+    return { attempts, nextCheckAt, abandoned: false };
+}
+
+/**
+ * Give an item a fresh start (manual check, or un-abandon)
+ * @param {Object} media - Media object
+ * @param {Object} db - Database instance
+ */
+function resetRecheckState(media, db) {
+    db.updateRecheckState(media.id, 0, null);
+    if (media.status === 'abandoned') db.updateStatus(media.id, 'pending');
+    media.check_attempts = 0;
+    media.next_check_at = null;
+}
+
+module.exports = {
+    getMaxAttempts,
+    getReleaseDay,
+    isReleased,
+    isInCinemas,
+    isNearRelease,
+    hasUpcomingRelease,
+    computeNextCheck,
+    isDueForRecheck,
+    applyRecheckPolicy,
+    resetRecheckState,
+    DEFAULT_MAX_ATTEMPTS
+};
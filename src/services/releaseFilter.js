@@ -0,0 +1,177 @@
+/**
+ * Release filter engine
+ * Applies a user's rule set to parsed releases and explains each rejection
+ */
+
+const { parseRelease, getResolutionLevel, hasTag, formatSize } = require('./releaseParser');
+
+const GB = 1024 ** 3;
+
+/**
+ * Normalize a rule set, dropping empty values
+ * @param {Object} rules - { languageTags, minResolution, mustContain, mustNotContain, mustMatch, mustNotMatch, minSizeGB, maxSizeGB }
+ * @returns {Object} Normalized rules
+ */
+function normalizeRules(rules = {}) {
+    const list = value => (Array.isArray(value) ? value : [])
+        .map(v => String(v).trim())
+        .filter(v => v.length > 0);
+    const number = value => (value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value));
+
+    return {
+        languageTags: list(rules.languageTags).map(t => t.toUpperCase()),
+        minResolution: rules.minResolution || null,
+        mustContain: list(rules.mustContain),
+        mustNotContain: list(rules.mustNotContain),
+        mustMatch: list(rules.mustMatch),
+        mustNotMatch: list(rules.mustNotMatch),
+        minSizeGB: number(rules.minSizeGB),
+        maxSizeGB: number(rules.maxSizeGB)
+    };
+}
+
+/**
+ * Check that a rule set is valid
+ * @param {Object} rules - Rule set
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRules(rules) {
+    const normalized = normalizeRules(rules);
+
+    if (normalized.minResolution && !getResolutionLevel(normalized.minResolution)) {
+        return `Unknown resolution: ${normalized.minResolution}`;
+    }
+    for (const pattern of [...normalized.mustMatch, ...normalized.mustNotMatch]) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            return `Invalid regex /${pattern}/: ${e.message}`;
+        }
+    }
+    if (normalized.minSizeGB !== null && normalized.maxSizeGB !== null && normalized.minSizeGB > normalized.maxSizeGB) {
+        return 'minSizeGB must be lower than maxSizeGB';
+    }
+    return null;
+}
+
+/**
+ * Whether a rule set filters anything at all
+ * @param {Object} rules - Rule set
+ * @returns {boolean}
+ */
+function hasActiveRules(rules) {
+    if (!rules) return false;
+    const r = normalizeRules(rules);
+    return r.languageTags.length > 0 || !!r.minResolution || r.mustContain.length > 0 || r.mustNotContain.length > 0 ||
+        r.mustMatch.length > 0 || r.mustNotMatch.length > 0 || r.minSizeGB !== null || r.maxSizeGB !== null;
+}
+
+/**
+ * Override a rule set with the rules another one sets
+ * Empty lists and unset values in the overrides keep the base value
+ * @param {Object} base - Rule set (e.g. the user's filters)
+ * @param {Object} overrides - Rule set (e.g. a quality profile's filters)
+ * @returns {Object} Normalized merged rules
+ */
+function mergeRules(base, overrides) {
+    const merged = normalizeRules(base);
+
+    for (const [key, value] of Object.entries(normalizeRules(overrides || {}))) {
+        const isSet = Array.isArray(value) ? value.length > 0 : value !== null;
+        if (isSet) merged[key] = value;
+    }
+    return merged;
+}
+
+function testRegex(pattern, text) {
+    try {
+        return new RegExp(pattern, 'i').test(text);
+    } catch (e) {
+        console.log(`[ReleaseFilter] Ignoring invalid regex /${pattern}/: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Evaluate a parsed release against a rule set
+ * @param {Object} release - Release from parseRelease
+ * @param {Object} rules - Rule set
+ * @returns {Array<string>} Rejection reasons (empty if accepted)
+ */
+function evaluateRelease(release, rules) {
+    const r = normalizeRules(rules);
+    const reasons = [];
+
+    // Languages: any of the tags, as a parsed language or a whole word in the name
+    if (r.languageTags.length > 0) {
+        const ok = r.languageTags.some(tag => release.languages.includes(tag) || hasTag(release.text, tag));
+        if (!ok) reasons.push(`language not ${r.languageTags.join(' / ')}`);
+    }
+
+    // Resolution: unknown resolution is rejected (safe approach)
+    if (r.minResolution) {
+        const minLevel = getResolutionLevel(r.minResolution);
+        if (!release.resolution) {
+            reasons.push('resolution unknown');
+        } else if (release.resolutionLevel < minLevel) {
+            reasons.push(`resolution ${release.resolution} < ${r.minResolution}`);
+        }
+    }
+
+    for (const term of r.mustContain) {
+        if (!hasTag(release.text, term)) reasons.push(`missing "${term}"`);
+    }
+    for (const term of r.mustNotContain) {
+        if (hasTag(release.text, term)) reasons.push(`contains "${term}"`);
+    }
+    for (const pattern of r.mustMatch) {
+        if (testRegex(pattern, release.text) === false) reasons.push(`doesn't match /${pattern}/`);
+    }
+    for (const pattern of r.mustNotMatch) {
+        if (testRegex(pattern, release.text) === true) reasons.push(`matches /${pattern}/`);
+    }
+
+    // Size: releases with unknown size are kept, we can't judge them
+    if (release.size) {
+        if (r.minSizeGB !== null && release.size < r.minSizeGB * GB) {
+            reasons.push(`size ${formatSize(release.size)} < ${r.minSizeGB} GB`);
+        }
+        if (r.maxSizeGB !== null && release.size > r.maxSizeGB * GB) {
+            reasons.push(`size ${formatSize(release.size)} > ${r.maxSizeGB} GB`);
+        }
+    }
+
+    return reasons;
+}
+
+/**
+ * Parse and filter streams with a rule set
+ * @param {Array} streams - Stremio stream objects
+ * @param {Object} rules - Rule set (null = accept everything)
+ * @returns {Object} { accepted: [{ stream, release }], rejected: [{ stream, release, reasons }] }
+ */
+function filterStreams(streams, rules) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const stream of streams) {
+        const release = parseRelease(stream);
+        const reasons = rules ? evaluateRelease(release, rules) : [];
+        if (reasons.length === 0) {
+            accepted.push({ stream, release });
+        } else {
+            rejected.push({ stream, release, reasons });
+        }
+    }
+
+    return { accepted, rejected };
+}
+
+module.exports = {
+    normalizeRules,
+    validateRules,
+    hasActiveRules,
+    mergeRules,
+    evaluateRelease,
+    filterStreams
+};
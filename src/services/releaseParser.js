@@ -0,0 +1,219 @@
+/**
+ * Release name parser
+ * Extracts resolution, source, codec, HDR, audio, languages, group and size from a stream
+ */
+
+const RESOLUTIONS = [
+    { value: '2160p', level: 4, tags: ['2160P', '4K', 'UHD'] },
+    { value: '1080p', level: 3, tags: ['1080P', '1080I'] },
+    { value: '720p', level: 2, tags: ['720P'] },
+    { value: '480p', level: 1, tags: ['480P', '576P', 'SD'] }
+];
+
+// Most specific first: REMUX wins over BLURAY in "BluRay.REMUX"
+const SOURCES = [
+    { value: 'REMUX', tags: ['REMUX', 'BDREMUX'] },
+    { value: 'BluRay', tags: ['BLURAY', 'BLU-RAY', 'BDRIP', 'BRRIP', 'BD'] },
+    { value: 'WEBRip', tags: ['WEBRIP', 'WEB-RIP'] },
+    { value: 'WEB-DL', tags: ['WEB-DL', 'WEBDL', 'WEB'] },
+    { value: 'HDTV', tags: ['HDTV', 'HDTVRIP', 'TVRIP'] },
+    { value: 'DVD', tags: ['DVDRIP', 'DVD', 'DVDR'] },
+    { value: 'CAM', tags: ['CAM', 'CAMRIP', 'HDCAM', 'TS', 'TELESYNC', 'HDTS', 'TC', 'TELECINE'] }
+];
+
+const CODECS = [
+    { value: 'x265', tags: ['X265', 'H265', 'H.265', 'HEVC'] },
+    { value: 'x264', tags: ['X264', 'H264', 'H.264', 'AVC'] },
+    { value: 'AV1', tags: ['AV1'] },
+    { value: 'VP9', tags: ['VP9'] },
+    { value: 'XviD', tags: ['XVID', 'DIVX'] }
+];
+
+const HDR_FORMATS = [
+    { value: 'DV', tags: ['DV', 'DOVI', 'DOLBY VISION', 'DOLBYVISION'] },
+    { value: 'HDR10+', tags: ['HDR10+', 'HDR10PLUS'] },
+    { value: 'HDR10', tags: ['HDR10'] },
+    { value: 'HDR', tags: ['HDR'] }
+];
+
+const AUDIO_FORMATS = [
+    { value: 'Atmos', tags: ['ATMOS'] },
+    { value: 'TrueHD', tags: ['TRUEHD'] },
+    { value: 'DTS-HD MA', tags: ['DTS-HD MA', 'DTS-HD.MA', 'DTS-HDMA', 'DTSHDMA'] },
+    { value: 'DTS', tags: ['DTS', 'DTS-HD', 'DTS-X', 'DTSX'] },
+    { value: 'DDP', tags: ['DDP', 'DD+', 'EAC3', 'E-AC3', 'EAC-3'] },
+    { value: 'AC3', tags: ['AC3', 'DD'] },
+    { value: 'AAC', tags: ['AAC'] },
+    { value: 'FLAC', tags: ['FLAC'] },
+    { value: 'Opus', tags: ['OPUS'] }
+];
+
+// Release tags -> languages they imply (the tag itself is kept too)
+const LANGUAGE_TAGS = {
+    FRENCH: ['FRENCH'], TRUEFRENCH: ['FRENCH'], VFF: ['FRENCH'], VFQ: ['FRENCH'], VFI: ['FRENCH'],
+    VF: ['FRENCH'], VF2: ['FRENCH'], VOF: ['FRENCH'], FR: ['FRENCH'], VOSTFR: [],
+    MULTI: [], MULTI2: ['MULTI'], DUAL: ['MULTI'],
+    ENGLISH: ['ENGLISH'], ENG: ['ENGLISH'], EN: ['ENGLISH'],
+    GERMAN: ['GERMAN'], GER: ['GERMAN'], ITALIAN: ['ITALIAN'], ITA: ['ITALIAN'],
+    SPANISH: ['SPANISH'], SPA: ['SPANISH'], ESP: ['SPANISH'], CASTELLANO: ['SPANISH'], LATINO: ['SPANISH'],
+    PORTUGUESE: ['PORTUGUESE'], POR: ['PORTUGUESE'], RUSSIAN: ['RUSSIAN'], RUS: ['RUSSIAN'],
+    JAPANESE: ['JAPANESE'], JAP: ['JAPANESE'], KOREAN: ['KOREAN'], CHINESE: ['CHINESE'],
+    DUTCH: ['DUTCH'], POLISH: ['POLISH'], PL: ['POLISH'], HINDI: ['HINDI'], ARABIC: ['ARABIC'], TURKISH: ['TURKISH']
+};
+
+// Flags some addons (Torrentio...) use instead of tags
+const LANGUAGE_FLAGS = {
+    '🇫🇷': 'FRENCH', '🇬🇧': 'ENGLISH', '🇺🇸': 'ENGLISH', '🇩🇪': 'GERMAN', '🇮🇹': 'ITALIAN', '🇪🇸': 'SPANISH',
+    '🇲🇽': 'SPANISH', '🇵🇹': 'PORTUGUESE', '🇧🇷': 'PORTUGUESE', '🇷🇺': 'RUSSIAN', '🇯🇵': 'JAPANESE',
+    '🇰🇷': 'KOREAN', '🇨🇳': 'CHINESE', '🇳🇱': 'DUTCH', '🇵🇱': 'POLISH', '🇮🇳': 'HINDI', '🇹🇷': 'TURKISH'
+};
+
+/**
+ * Whether a tag appears as a whole word in an uppercased text
+ * Words are separated by anything but letters and digits, so FRENCH doesn't match FRENCHKISS
+ * @param {string} text - Uppercased text
+ * @param {string} tag - Tag to look for
+ * @returns {boolean}
+ */
+function hasTag(text, tag) {
+    const escaped = tag.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '[ ._-]');
+    return new RegExp(`(^|[^A-Z0-9])${escaped}($|[^A-Z0-9])`).test(text);
+}
+
+function findFirst(text, definitions) {
+    const found = definitions.find(def => def.tags.some(tag => hasTag(text, tag)));
+    return found || null;
+}
+
+function findAll(text, definitions) {
+    const found = definitions.filter(def => def.tags.some(tag => hasTag(text, tag))).map(def => def.value);
+    // "HDR10+" also reads as HDR10, "DTS-HD MA" as DTS: keep the most specific only
+    return found.filter(value => !found.some(other => other !== value && other.startsWith(value)));
+}
+
+/**
+ * Parse a size like "4.2 GB" into bytes
+ * @param {string} size - Size text
+ * @returns {number} Bytes, 0 if unknown
+ */
+function parseSizeToBytes(size) {
+    const match = (size || '').match(/(\d+(?:[.,]\d+)?)\s*(TB|GB|MB|GiB|MiB|TiB)\b/i);
+    if (!match) return 0;
+    const value = parseFloat(match[1].replace(',', '.'));
+    const unit = match[2].toUpperCase().replace('I', '');
+    const multipliers = { MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+    return Math.round(value * multipliers[unit]);
+}
+
+/**
+ * Format bytes as a short size ("4.2 GB")
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (!bytes) return '';
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    return `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+/**
+ * Best human-readable release name for a stream
+ * @param {Object} stream - Stremio stream object
+ * @returns {string}
+ */
+function getReleaseName(stream) {
+    let name = 'Unknown';
+
+    // behaviorHints.filename often has the real torrent name
+    if (stream.behaviorHints?.filename) {
+        name = stream.behaviorHints.filename;
+    }
+    // description first line often has the release name
+    else if (stream.description) {
+        name = stream.description.split('\n')[0].trim();
+    }
+    // title (for UsenetStreamer etc.)
+    else if (stream.title) {
+        name = stream.title.split('\n')[0].trim();
+    }
+    // fallback to name
+    else if (stream.name) {
+        name = stream.name;
+    }
+
+    // Clean up: HTML tags
+    return name.replace(/<[^>]*>/g, ' ').trim();
+}
+
+/**
+ * Parse a Stremio stream into a release model
+ * @param {Object} stream - Stremio stream object
+ * @returns {Object} { name, text, resolution, resolutionLevel, source, codec, hdr, audio, languages, group, size, sizeText }
+ */
+function parseRelease(stream) {
+    const name = getReleaseName(stream);
+
+    // Addons spread the info over name/title/description, so look at all of it
+    const text = [name, stream.name, stream.title, stream.description]
+        .filter(Boolean)
+        .join('\n')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\.(mkv|mp4|avi|m2ts|ts)\b/gi, ' '); // ".ts" is not a TeleSync tag
+    const upper = text.toUpperCase();
+
+    const resolution = findFirst(upper, RESOLUTIONS);
+    const source = findFirst(upper, SOURCES);
+    const codec = findFirst(upper, CODECS);
+
+    const languages = new Set();
+    for (const [tag, implied] of Object.entries(LANGUAGE_TAGS)) {
+        if (hasTag(upper, tag)) {
+            languages.add(tag);
+            implied.forEach(l => languages.add(l));
+        }
+    }
+    for (const [flag, language] of Object.entries(LANGUAGE_FLAGS)) {
+        if (text.includes(flag)) languages.add(language);
+    }
+
+    // Group: "...x264-GROUP.mkv"
+    const groupMatch = name.match(/-([A-Za-z0-9]+)(?:\.(?:mkv|mp4|avi|m2ts|ts))?\s*$/i);
+
+    const size = parseSizeToBytes(text) || stream.behaviorHints?.videoSize || 0;
+
+    return {
+        name,
+        text: upper,
+        resolution: resolution?.value || null,
+        resolutionLevel: resolution?.level || 0,
+        source: source?.value || null,
+        codec: codec?.value || null,
+        hdr: findAll(upper, HDR_FORMATS),
+        // "DDP5.1" -> "DDP 5.1" so the channel count doesn't hide the format
+        audio: findAll(upper.replace(/(DDP|DD|EAC3|AC3|AAC|TRUEHD|DTS|FLAC|OPUS)(\d\.\d)/g, '$1 $2'), AUDIO_FORMATS),
+        languages: [...languages],
+        group: groupMatch ? groupMatch[1] : null,
+        size,
+        sizeText: formatSize(size)
+    };
+}
+
+/**
+ * Resolution level for a resolution name ('1080p' -> 3), 0 if unknown
+ * @param {string} resolution
+ * @returns {number}
+ */
+function getResolutionLevel(resolution) {
+    const upper = (resolution || '').toUpperCase();
+    const found = RESOLUTIONS.find(r => r.value.toUpperCase() === upper || r.tags.includes(upper));
+    return found ? found.level : 0;
+}
+
+module.exports = {
+    parseRelease,
+    getReleaseName,
+    getResolutionLevel,
+    parseSizeToBytes,
+    formatSize,
+    hasTag
+};
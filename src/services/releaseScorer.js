@@ -0,0 +1,128 @@
+/**
+ * Release scorer
+ * Scores parsed releases against a quality profile (like Radarr custom formats)
+ * and ranks them, best first
+ */
+
+const { hasTag } = require('./releaseParser');
+
+const SCORE_TYPES = ['resolution', 'source', 'codec', 'hdr', 'audio', 'language', 'group', 'term', 'regex'];
+
+/**
+ * Check that a list of score rules is valid
+ * @param {Array} scores - [{ type, value, score }]
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScores(scores) {
+    if (!Array.isArray(scores)) return 'scores must be an array';
+
+    for (const rule of scores) {
+        if (!rule || !SCORE_TYPES.includes(rule.type)) {
+            return `Unknown score type: ${rule?.type} (expected ${SCORE_TYPES.join(', ')})`;
+        }
+        if (!rule.value || !String(rule.value).trim()) {
+            return `Missing value for ${rule.type} score`;
+        }
+        if (isNaN(rule.score) || rule.score === '' || rule.score === null) {
+            return `Invalid score for ${rule.type} "${rule.value}"`;
+        }
+        if (rule.type === 'regex') {
+            try {
+                new RegExp(rule.value, 'i');
+            } catch (e) {
+                return `Invalid regex /${rule.value}/: ${e.message}`;
+            }
+        }
+    }
+    return null;
+}
+
+function equalsIgnoreCase(a, b) {
+    return !!a && a.toUpperCase() === String(b).toUpperCase();
+}
+
+/**
+ * Whether a release matches one score rule
+ * @param {Object} release - Release from parseRelease
+ * @param {Object} rule - { type, value }
+ * @returns {boolean}
+ */
+function matchesRule(release, rule) {
+    const value = String(rule.value).trim();
+
+    switch (rule.type) {
+        case 'resolution': return equalsIgnoreCase(release.resolution, value);
+        case 'source': return equalsIgnoreCase(release.source, value);
+        case 'codec': return equalsIgnoreCase(release.codec, value);
+        case 'group': return equalsIgnoreCase(release.group, value);
+        case 'hdr': return release.hdr.some(h => equalsIgnoreCase(h, value));
+        case 'audio': return release.audio.some(a => equalsIgnoreCase(a, value));
+        case 'language': return release.languages.includes(value.toUpperCase()) || hasTag(release.text, value);
+        case 'term': return hasTag(release.text, value);
+        case 'regex':
+            try {
+                return new RegExp(value, 'i').test(release.text);
+            } catch (e) {
+                return false;
+            }
+        default: return false;
+    }
+}
+
+/**
+ * Score a parsed release
+ * @param {Object} release - Release from parseRelease
+ * @param {Object} profile - Quality profile ({ scores }), null = no scoring
+ * @returns {Object} { score, matched: ['source REMUX +50', ...] }
+ */
+function scoreRelease(release, profile) {
+    let score = 0;
+    const matched = [];
+
+    for (const rule of profile?.scores || []) {
+        if (matchesRule(release, rule)) {
+            const points = Number(rule.score);
+            score += points;
+            matched.push(`${rule.type} ${rule.value} ${points >= 0 ? '+' : ''}${points}`);
+        }
+    }
+
+    return { score, matched };
+}
+
+/**
+ * Score and sort accepted streams, and set aside those under the profile's minimum score
+ * Ties are broken by resolution, then size
+ * @param {Array} entries - [{ stream, release }] from filterStreams
+ * @param {Object} profile - Quality profile ({ min_score, scores }), null = no scoring
+ * @returns {Object} { ranked: [{ stream, release, score, matched }], belowMinimum: [{ ..., reasons }] }
+ */
+function rankReleases(entries, profile) {
+    const minScore = profile?.min_score || 0;
+    const ranked = [];
+    const belowMinimum = [];
+
+    for (const entry of entries) {
+        const { score, matched } = scoreRelease(entry.release, profile);
+        if (profile && score < minScore) {
+            belowMinimum.push({ ...entry, score, matched, reasons: [`score ${score} < ${minScore}`] });
+        } else {
+            ranked.push({ ...entry, score, matched });
+        }
+    }
+
+    ranked.sort((a, b) =>
+        b.score - a.score ||
+        b.release.resolutionLevel - a.release.resolutionLevel ||
+        b.release.size - a.release.size
+    );
+
+    return { ranked, belowMinimum };
+}
+
+module.exports = {
+    SCORE_TYPES,
+    validateScores,
+    scoreRelease,
+    rankReleases
+};
@@ -0,0 +1,175 @@
+/**
+ * Scheduler
+ * Runs background tasks on cron expressions stored in settings (schedule_<task>),
+ * and keeps track of their last run
+ */
+
+const { validateCron, getNextRun } = require('./cron');
+
+// How often due tasks are looked for
+const TICK_INTERVAL = 30 * 1000;
+
+// Tasks that missed a run while the server was down catch up shortly after startup
+const STARTUP_DELAY = 60 * 1000;
+
+const tasks = {};
+let started = false;
+
+/**
+ * Register a scheduled task
+ * @param {string} name - Task name (used in settings and the API)
+ * @param {Object} task - { description, defaultCron, run: async (db) => void }
+ */
+function registerScheduledTask(name, task) {
+    tasks[name] = { ...task, name, nextRun: null, running: false };
+}
+
+/**
+ * Cron expression of a task, from settings or its default
+ * @param {string} name - Task name
+ * @param {Object} db - Database instance
+ * @returns {string}
+ */
+function getTaskCron(name, db) {
+    const cron = db.getSetting(`schedule_${name}`);
+    return cron && !validateCron(cron) ? cron : tasks[name].defaultCron;
+}
+
+/**
+ * Compute the next run of a task from its cron expression
+ * @param {Object} task - Registered task
+ * @param {Object} db - Database instance
+ */
+function planNextRun(task, db) {
+    task.nextRun = getNextRun(getTaskCron(task.name, db));
+}
+
+/**
+ * Run a task now, recording its duration and result
+ * @param {string} name - Task name
+ * @param {Object} db - Database instance
+ * @returns {Promise<boolean>} false if the task is already running
+ */
+async function runTask(name, db) {
+    const task = tasks[name];
+    if (task.running) return false;
+
+    task.running = true;
+    const startedAt = new Date();
+    console.log(`[Scheduler] ▶️ Running ${name}`);
+
+    let error = null;
+    try {
+        await task.run(db);
+    } catch (e) {
+        error = e.message;
+        console.error(`[Scheduler] ${name} failed:`, e.message);
+    } finally {
+        task.running = false;
+    }
+
+    const durationMs = Date.now() - startedAt.getTime();
+    db.recordScheduleRun(name, { startedAt: startedAt.toISOString(), durationMs, error });
+    console.log(`[Scheduler] ${error ? '❌' : '✅'} ${name} done in ${Math.round(durationMs / 1000)}s`);
+    return true;
+}
+
+function tick(db) {
+    const now = Date.now();
+    for (const task of Object.values(tasks)) {
+        if (!task.nextRun || task.nextRun.getTime() > now || task.running) continue;
+
+        planNextRun(task, db);
+        runTask(task.name, db).catch(console.error);
+    }
+}
+
+/**
+ * Start the scheduler
+ * @param {Object} db - Database instance
+ */
+function startScheduler(db) {
+    if (started) return;
+    started = true;
+
+    for (const task of Object.values(tasks)) {
+        planNextRun(task, db);
+
+        // Never run, or a run was due while we were down: catch up soon
+        const lastRun = db.getScheduleRun(task.name);
+        const missed = !lastRun || getNextRun(getTaskCron(task.name, db), new Date(lastRun.last_run_at)) < new Date();
+        if (missed) {
+            task.nextRun = new Date(Date.now() + STARTUP_DELAY);
+        }
+
+        console.log(`[Scheduler] ${task.name}: "${getTaskCron(task.name, db)}", next run ${task.nextRun ? task.nextRun.toISOString() : 'never'}`);
+    }
+
+    setInterval(() => tick(db), TICK_INTERVAL);
+}
+
+/**
+ * Change a task's cron expression
+ * @param {string} name - Task name
+ * @param {string} cron - Cron expression (empty = back to the default)
+ * @param {Object} db - Database instance
+ * @returns {string|null} Error message, or null if saved
+ */
+function setTaskSchedule(name, cron, db) {
+    if (!tasks[name]) return `Unknown task: ${name}`;
+
+    const expression = (cron || '').trim();
+    if (expression) {
+        const error = validateCron(expression);
+        if (error) return error;
+    }
+
+    db.setSetting(`schedule_${name}`, expression || null);
+    planNextRun(tasks[name], db);
+    return null;
+}
+
+/**
+ * Start a task outside of its schedule
+ * @param {string} name - Task name
+ * @param {Object} db - Database instance
+ * @returns {string|null} Error message, or null if started
+ */
+function runTaskNow(name, db) {
+    if (!tasks[name]) return `Unknown task: ${name}`;
+    if (tasks[name].running) return `${name} is already running`;
+
+    runTask(name, db).catch(console.error);
+    return null;
+}
+
+/**
+ * Status of every task, for the WebUI
+ * @param {Object} db - Database instance
+ * @returns {Array} [{ name, description, cron, defaultCron, running, nextRun, lastRun, lastDurationMs, lastStatus, lastError }]
+ */
+function getSchedulerStatus(db) {
+    const runs = {};
+    db.getScheduleRuns().forEach(r => { runs[r.name] = r; });
+
+    return Object.values(tasks).map(task => ({
+        name: task.name,
+        description: task.description,
+        cron: getTaskCron(task.name, db),
+        defaultCron: task.defaultCron,
+        running: task.running,
+        nextRun: task.nextRun ? task.nextRun.toISOString() : null,
+        lastRun: runs[task.name]?.last_run_at || null,
+        lastDurationMs: runs[task.name]?.last_duration_ms ?? null,
+        lastStatus: runs[task.name]?.last_status || null,
+        lastError: runs[task.name]?.last_error || null
+    }));
+}
+
+module.exports = {
+    registerScheduledTask,
+    startScheduler,
+    setTaskSchedule,
+    runTaskNow,
+    getSchedulerStatus
+};
@@ -3,10 +3,117 @@
  * Checks if streams are available for media items using user's Stremio addons
  */
 
-const { checkStreamsWithUserAddons, getImdbIdFromTmdb, getLibraryItems } = require('./stremio');
+const { checkStreamsWithUserAddons, getImdbIdFromTmdb, getLibraryItems, getSeriesVideoIds, addToLibrary, removeFromLibrary } = require('./stremio');
+const { refreshAiringSeries } = require('./episodeSync');
+const { getTMDBDetails, getMovieReleaseDates, getTVShowSeasons, TMDB_API_URL } = require('./tmdb');
+const { waitForHost } = require('./rateLimiter');
+const { submitJob, waitForJobs } = require('./jobQueue');
+const { registerScheduledTask, startScheduler } = require('./scheduler');
+const { createHealthTracker } = require('./addonHealth');
+const { normalizeRules, hasActiveRules, mergeRules } = require('./releaseFilter');
+const { applyRecheckPolicy, isDueForRecheck, isReleased } = require('./recheckPolicy');
+const { decodeWatchedBitfield } = require('./watchedBitfield');
+const { getWatchedThreshold, getCleanupSettings, isCleanupDue } = require('./cleanupPolicy');
+const { purgeTrash } = require('./trash');
+const { createBackup } = require('./backup');
+
+// How long the recheck task waits for its checks: a few addon timeouts (10s) and retries per check
+const RECHECK_WAIT_PER_JOB = 2 * 60 * 1000;
+const MIN_RECHECK_WAIT = 10 * 60 * 1000;
+
+// Series checks query episodes that already had streams again after this many days
+const EPISODE_REFRESH_DAYS = 7;
+
+// Ratings looked up per run, and how long an item TMDB gave no rating for waits before the next try
+const RATING_BATCH = 100;
+const RATING_RETRY_DAYS = 7;
 
-// Check interval: 24 hours in milliseconds
-const RECHECK_INTERVAL = 24 * 60 * 60 * 1000;
+/**
+ * Get a user's addon selection and stream filter rules
+ * @param {number} userId - User ID
+ * @param {Object} db - Database instance
+ * @returns {Object} { selectedAddonIds: Array|null, filterPrefs: rule set (see releaseFilter.normalizeRules) }
+ */
+function getUserStreamPreferences(userId, db) {
+    // Get user's selected addons (if configured)
+    const selectedAddonsJson = db.getSetting(`stremio_selected_addons_${userId}`);
+    const selectedAddonIds = selectedAddonsJson ? JSON.parse(selectedAddonsJson) : null;
+
+    // Get user's stream filter preferences
+    const languageTagsJson = db.getSetting(`stream_filter_languages_${userId}`);
+    const minResolution = db.getSetting(`stream_filter_resolution_${userId}`);
+    const rulesJson = db.getSetting(`stream_filter_rules_${userId}`);
+
+    const filterPrefs = normalizeRules({
+        ...(rulesJson ? JSON.parse(rulesJson) : {}),
+        languageTags: languageTagsJson ? JSON.parse(languageTagsJson) : [],
+        minResolution: minResolution || null
+    });
+
+    return { selectedAddonIds, filterPrefs };
+}
+
+/**
+ * Get the quality profile of a media item
+ * The profile picked in Jellyseerr wins, then the user's default profile, then the admin's default
+ * @param {Object} media - Media object (quality_profile_id may be null)
+ * @param {number} userId - Owner's user ID
+ * @param {Object} db - Database instance
+ * @returns {Object|null} Quality profile, or null if there is none
+ */
+function getQualityProfileForMedia(media, userId, db) {
+    const candidates = [media.quality_profile_id, db.getSetting(`quality_profile_default_${userId}`)];
+
+    for (const id of candidates) {
+        if (!id) continue;
+        const profile = db.getQualityProfile(parseInt(id));
+        // Shared profiles or the user's own only
+        if (profile && (profile.user_id === null || profile.user_id === userId)) return profile;
+    }
+    return db.getDefaultQualityProfile() || null;
+}
+
+/**
+ * Pick the quality profile for a new Radarr/Sonarr request
+ * A root folder mapped to a profile (e.g. Jellyseerr's 4K server) wins over the profile ID
+ * @param {number} userId - Requesting user's ID
+ * @param {Object} request - { qualityProfileId, rootFolderPath } from the request body
+ * @param {Object} db - Database instance
+ * @returns {number|null} Quality profile ID, or null to use the defaults
+ */
+function getQualityProfileIdForRequest(userId, { qualityProfileId, rootFolderPath }, db) {
+    if (rootFolderPath) {
+        const byFolder = db.getQualityProfileByRootFolder(rootFolderPath.replace(/\/+$/, ''));
+        if (byFolder) return byFolder.id;
+    }
+
+    const profile = qualityProfileId ? db.getQualityProfile(parseInt(qualityProfileId)) : null;
+    if (profile && (profile.user_id === null || profile.user_id === userId)) return profile.id;
+    return null;
+}
+
+/**
+ * Get everything a stream check needs for a media item
+ * The media's quality profile can replace the user's addon selection and override their filter rules
+ * @param {Object} media - Media object
+ * @param {number} userId - Owner's user ID
+ * @param {Object} db - Database instance
+ * @returns {Object} { selectedAddonIds, filterPrefs, profile }
+ */
+function resolveCheckSettings(media, userId, db) {
+    const { selectedAddonIds, filterPrefs } = getUserStreamPreferences(userId, db);
+    const profile = getQualityProfileForMedia(media, userId, db);
+
+    if (!profile) {
+        return { selectedAddonIds, filterPrefs, profile: null };
+    }
+
+    return {
+        selectedAddonIds: profile.addon_ids.length > 0 ? profile.addon_ids : selectedAddonIds,
+        filterPrefs: mergeRules(filterPrefs, profile.filters),
+        profile
+    };
+}
 
 /**
  * Check if streams are available for a media item using the owner's addons
@@ -32,7 +139,6 @@ async function checkStreamsAvailable(media, db) {
     if (!media.imdb_id && media.tmdb_id) {
         console.log(`[StreamChecker] Fetching IMDB ID for: ${media.title}`);
         try {
-            const { getTMDBDetails } = require('./tmdb');
             const type = media.type === 'movie' ? 'movie' : 'series';
             const details = await getTMDBDetails(media.tmdb_id, type, db);
             if (details && details.imdb_id) {
@@ -41,115 +147,392 @@ async function checkStreamsAvailable(media, db) {
                 db.db.prepare('UPDATE media SET imdb_id = ? WHERE id = ?').run(details.imdb_id, media.id);
                 console.log(`[StreamChecker] Updated IMDB ID for ${media.title}: ${details.imdb_id}`);
             }
+            if (details && details.vote_average !== undefined && (media.rating === undefined || media.rating === null)) {
+                db.updateMediaRating(media.id, details.vote_average);
+            }
         } catch (e) {
             console.error(`[StreamChecker] Failed to fetch IMDB ID for ${media.title}:`, e.message);
         }
     }
 
-    // Get user's selected addons (if configured)
-    const selectedAddonsJson = db.getSetting(`stremio_selected_addons_${user.id}`);
-    const selectedAddonIds = selectedAddonsJson ? JSON.parse(selectedAddonsJson) : null;
-
-    // Get user's stream filter preferences
-    const languageTagsJson = db.getSetting(`stream_filter_languages_${user.id}`);
-    const minResolution = db.getSetting(`stream_filter_resolution_${user.id}`);
+    // Release dates speed up rechecks around the digital/physical release (fetched once, on the first check)
+    if (media.type === 'movie' && media.tmdb_id && !media.check_attempts &&
+        !media.theatrical_release && !media.digital_release && !media.physical_release) {
+        try {
+            const dates = await getMovieReleaseDates(media.tmdb_id, db);
+            if (dates) {
+                media.theatrical_release = dates.theatrical;
+                media.digital_release = dates.digital;
+                media.physical_release = dates.physical;
+                db.updateReleaseDates(media.id, dates);
+            }
+        } catch (e) {
+            console.error(`[StreamChecker] Failed to fetch release dates for ${media.title}:`, e.message);
+        }
+    }
 
-    const filterPrefs = {
-        languageTags: languageTagsJson ? JSON.parse(languageTagsJson) : [],
-        minResolution: minResolution || null
-    };
+    const { selectedAddonIds, filterPrefs, profile } = resolveCheckSettings(media, user.id, db);
 
-    if (filterPrefs.languageTags.length > 0 || filterPrefs.minResolution) {
+    if (hasActiveRules(filterPrefs)) {
         console.log(`[StreamChecker] Using filters for ${user.username}:`, filterPrefs);
     }
+    if (profile) {
+        console.log(`[StreamChecker] Using profile "${profile.name}" (min score ${profile.min_score})`);
+    }
+
+    const options = { health: createHealthTracker(user.id, db), profile };
+
+    // Series are checked per monitored episode (S01E01 when we don't know the episodes)
+    const tracked = media.type === 'series' ? db.getEpisodes(media.id).filter(e => e.monitored) : [];
+    if (tracked.length === 0) {
+        return await checkStreamsWithUserAddons(media, user.stremio_auth_key, selectedAddonIds, filterPrefs, options);
+    }
+
+    // Only the aired episodes without streams, and now and then the ones that had some
+    const episodes = tracked.filter(needsEpisodeCheck);
+    const kept = tracked.filter(e => !episodes.includes(e) && e.streams_available);
+    const result = episodes.length > 0
+        ? await checkStreamsWithUserAddons(media, user.stremio_auth_key, selectedAddonIds, filterPrefs, { ...options, episodes })
+        : { streamCount: 0, addons: media.streams_detail || [], episodes: [], lastChecked: new Date().toISOString() };
+    if (result.reason) return result;
+
+    // The series-level status still covers every episode
+    result.available = result.episodes.some(e => e.available) || kept.length > 0;
+    result.streamCount += kept.reduce((sum, e) => sum + (e.stream_count || 0), 0);
+    return result;
+}
+
+/**
+ * Whether an episode is queried on a series check: aired and without streams, or with streams
+ * last found more than EPISODE_REFRESH_DAYS ago (they can disappear)
+ * @param {Object} episode - Episode row
+ * @returns {boolean}
+ */
+function needsEpisodeCheck(episode) {
+    const today = new Date().toISOString().substring(0, 10);
+    if (episode.air_date && episode.air_date > today) return false;
+    if (!episode.streams_available || !episode.last_stream_check) return true;
+    return Date.now() - new Date(episode.last_stream_check).getTime() > EPISODE_REFRESH_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Store a check result on the media item and, for series, on each checked episode,
+ * then plan the next recheck (see recheckPolicy)
+ * @param {Object} media - Media object
+ * @param {Object} result - Result from checkStreamsAvailable
+ * @param {Object} db - Database instance
+ * @returns {Object} Updated media
+ */
+function saveCheckResult(media, result, db) {
+    for (const ep of result.episodes || []) {
+        if (!ep.id) continue;
+        db.updateEpisodeStreamStatus(ep.id, ep.available, ep.streamCount, result.lastChecked, ep.addons);
+    }
+
+    db.updateStreamStatus(media.id, result.available, result.streamCount, result.lastChecked, result.addons);
+    // A check that could not run (no auth key, addons unreachable...) is not a failed attempt
+    if (!result.reason) applyRecheckPolicy(media, result.available, db);
+    return db.getMediaById(media.id);
+}
+
+/**
+ * Whether an episode has streams
+ * Episodes never checked individually fall back to the series-level status
+ * @param {Object} media - Series media object
+ * @param {Object} episode - Episode row
+ * @returns {boolean}
+ */
+function episodeHasStreams(media, episode) {
+    if (!episode.last_stream_check) return !!media.streams_available;
+    return !!episode.streams_available;
+}
+
+/**
+ * Queue a stream check for a media item
+ * @param {Object} media - Media object
+ * @param {Object} db - Database instance
+ * @param {Object} options - { notify: boolean (Jellyseerr/Discord notifications), source: string (for logs) }
+ * @returns {number|null} Job ID, or null if a check is already pending for this media
+ */
+function queueStreamCheck(media, db, options = {}) {
+    return submitJob('stream_check', {
+        mediaId: media.id,
+        notify: !!options.notify,
+        source: options.source || null
+    }, db, `media-${media.id}`);
+}
+
+/**
+ * Job handler: check streams for a media item and store the result
+ * @param {Object} payload - { mediaId, notify, source }
+ * @param {Object} db - Database instance
+ */
+async function runStreamCheckJob(payload, db) {
+    const media = db.getActiveMediaById(payload.mediaId);
+    if (!media) return; // Deleted or archived while queued
+
+    const source = payload.source || 'StreamChecker';
+    const result = await checkStreamsAvailable(media, db);
+    saveCheckResult(media, result, db);
+
+    if (result.available) {
+        console.log(`[${source}] ✅ Streams found for: ${media.title} (${result.streamCount} streams)`);
+        await pushToStremioLibrary(db.getMediaById(media.id), db);
+    } else {
+        console.log(`[${source}] ⚠️ No streams found for: ${media.title}`);
+    }
+
+    // Notifications only for new requests - not on rechecks
+    if (!payload.notify) return;
+
+    if (result.available) {
+        // Notify Jellyseerr that content is now available
+        const { notifyMediaAvailable } = require('./jellyseerr');
+        await notifyMediaAvailable(media);
+    } else {
+        // Send Discord notification with the filters the media was checked with
+        const filterPrefs = media.user_id ? resolveCheckSettings(media, media.user_id, db).filterPrefs : null;
+        const { sendNoSourceNotification } = require('./discord');
+        await sendNoSourceNotification(media, filterPrefs);
+    }
+}
+
+/**
+ * Add an available item to its owner's Stremio library, if they enabled it
+ * @param {Object} media - Media object
+ * @param {Object} db - Database instance
+ */
+async function pushToStremioLibrary(media, db) {
+    if (!media.user_id || media.in_stremio_library) return;
+    if (db.getSetting(`stremio_library_${media.user_id}`) !== 'true') return;
+
+    const user = db.getUserById(media.user_id);
+    if (!user || !user.stremio_auth_key) return;
 
-    // Use the Stremio service to check with user's addons and filters
-    return await checkStreamsWithUserAddons(media, user.stremio_auth_key, selectedAddonIds, filterPrefs);
+    try {
+        // Titles the user had in their library already stay theirs: cleanup won't remove them
+        if (await addToLibrary(user.stremio_auth_key, media)) {
+            db.setInStremioLibrary(media.id, true);
+        }
+    } catch (e) {
+        console.error(`[StreamChecker] Failed to add ${media.title} to Stremio library:`, e.message);
+    }
+}
+
+/**
+ * Remove an item we added from its owner's Stremio library
+ * @param {Object} media - Media object
+ * @param {Object} db - Database instance
+ */
+async function removeFromStremioLibrary(media, db) {
+    if (!media.in_stremio_library) return;
+
+    const user = db.getUserById(media.user_id);
+    if (!user || !user.stremio_auth_key) return;
+
+    try {
+        await removeFromLibrary(user.stremio_auth_key, media);
+        db.setInStremioLibrary(media.id, false);
+    } catch (e) {
+        console.error(`[StreamChecker] Failed to remove ${media.title} from Stremio library:`, e.message);
+    }
 }
 
 /**
  * Background job to check all media without streams
+ * Checks are queued and run by the job queue workers
  * @param {Object} db - Database instance
+ * @returns {number[]} IDs of the queued check jobs
  */
-async function recheckUnavailableMedia(db) {
-    console.log('[StreamChecker] Starting 24h recheck of unavailable media...');
+function recheckUnavailableMedia(db) {
+    console.log('[StreamChecker] Starting recheck of unavailable media...');
 
-    const unavailable = db.getMediaByAvailability(false);
+    // Partially available series are rechecked too, for their missing episodes
+    const unavailable = [...db.getMediaByAvailability(false), ...db.getPartiallyAvailableSeries()];
     console.log(`[StreamChecker] Found ${unavailable.length} items to recheck`);
 
+    const jobIds = [];
     for (const media of unavailable) {
-        // Skip if checked less than 24h ago
-        if (media.last_stream_check) {
-            const lastCheck = new Date(media.last_stream_check).getTime();
-            const now = Date.now();
-            if (now - lastCheck < RECHECK_INTERVAL) {
-                continue;
-            }
+        // Skip abandoned items and those backed off until later
+        if (!isDueForRecheck(media)) continue;
+
+        // No Discord notification on recheck - only on initial add via Radarr/Sonarr
+        const jobId = queueStreamCheck(media, db, { source: 'Recheck' });
+        if (jobId) jobIds.push(jobId);
+    }
+
+    console.log(`[StreamChecker] Queued ${jobIds.length} stream checks`);
+    return jobIds;
+}
+
+/**
+ * Fill in the TMDB rating (catalog sort) of items added without one, a batch per run
+ * Items are marked as looked up either way, so one TMDB has no rating for isn't fetched every run
+ * @param {Object} db - Database instance
+ * @returns {Promise<number>} Number of ratings filled in
+ */
+async function backfillRatings(db) {
+    let filled = 0;
+    for (const media of db.getMediaWithoutRating(RATING_BATCH, RATING_RETRY_DAYS)) {
+        db.markRatingChecked(media.id);
+        await waitForHost(TMDB_API_URL);
+        const details = await getTMDBDetails(media.tmdb_id, media.type, db);
+        if (details && details.vote_average !== undefined) {
+            db.updateMediaRating(media.id, details.vote_average);
+            filled++;
         }
+    }
 
-        const result = await checkStreamsAvailable(media, db);
-        db.updateStreamStatus(media.id, result.available, result.streamCount, result.lastChecked, result.addons);
+    if (filled > 0) console.log(`[StreamChecker] Filled in the TMDB rating of ${filled} items`);
+    return filled;
+}
+
+/**
+ * Background job to start checking titles that came out
+ * Their first check is handled like a new request (Jellyseerr/Discord notifications)
+ * Films without a digital/physical date yet get their TMDB dates again, as those are announced later
+ * @param {Object} db - Database instance
+ * @returns {Promise<number>} Number of checks queued
+ */
+async function checkReleasedMedia(db) {
+    const waiting = db.getMediaByStatus('waiting_release');
 
-        if (result.available) {
-            console.log(`[StreamChecker] ✅ Streams now available for: ${media.title} (${result.streamCount} streams)`);
+    for (const media of waiting) {
+        if (media.type !== 'movie' || !media.tmdb_id || media.digital_release || media.physical_release) continue;
+        try {
+            const dates = await getMovieReleaseDates(media.tmdb_id, db);
+            if (dates) {
+                db.updateReleaseDates(media.id, dates);
+                Object.assign(media, { theatrical_release: dates.theatrical, digital_release: dates.digital, physical_release: dates.physical });
+            }
+        } catch (e) {
+            console.error(`[StreamChecker] Failed to refresh release dates for ${media.title}:`, e.message);
         }
-        // No Discord notification on recheck - only on initial add via Radarr/Sonarr
+    }
 
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    let queued = 0;
+    for (const media of waiting.filter(media => isReleased(media))) {
+        db.updateStatus(media.id, 'pending');
+        console.log(`[StreamChecker] 🎬 ${media.title} is out, starting checks`);
+        if (queueStreamCheck(media, db, { notify: true, source: 'Release' })) queued++;
     }
 
-    console.log('[StreamChecker] Recheck complete');
+    return queued;
+}
+
+/**
+ * Archive or delete a watched item (auto-cleanup), taking it out of the Stremio library
+ * @param {Object} media - Media object
+ * @param {string} action - 'delete' or 'archive'
+ * @param {Object} db - Database instance
+ */
+async function cleanupWatchedMedia(media, action, db) {
+    await removeFromStremioLibrary(media, db);
+
+    if (action === 'archive') {
+        db.archiveMedia(media.id);
+        console.log(`[Cleanup] 📦 Archived watched ${media.type}: ${media.title} (user ${media.user_id})`);
+    } else {
+        db.deleteMedia(media.id);
+        console.log(`[Cleanup] 🗑️ Moved watched ${media.type} to the trash: ${media.title} (user ${media.user_id})`);
+    }
 }
 
 /**
  * Cleanup watched content
- * - Movies: delete if watched
- * - Series: delete if ALL episodes are watched
- * Only deletes content for users with auto-cleanup enabled
+ * - Movies: once watched
+ * - Series: once ALL episodes are watched
+ * Only for users with auto-cleanup enabled, after their grace period, deleted or archived per their settings
  * @param {Object} db - Database instance
  */
 async function cleanupWatchedContent(db) {
     console.log('[StreamChecker] Starting cleanup of watched content...');
 
-    // Cleanup watched movies
-    const watchedMovies = db.getWatchedMediaByType('movie');
-    for (const movie of watchedMovies) {
-        // Check if user has auto-cleanup enabled
-        const autoCleanup = db.getSetting(`auto_cleanup_${movie.user_id}`);
-        if (autoCleanup === 'true') {
-            db.deleteMedia(movie.id);
-            console.log(`[Cleanup] 🗑️ Removed watched movie: ${movie.title} (user ${movie.user_id})`);
+    const candidates = [...db.getWatchedMediaByType('movie')];
+
+    for (const series of db.getMediaByType('series')) {
+        // Only if there are episodes AND all are watched
+        if (!db.getEpisodesWatchedStatus(series.id).allWatched) continue;
+        // The grace period starts when the last episode is seen
+        candidates.push(series.watched ? series : db.markAsWatched(series.id));
+    }
+
+    for (const media of candidates) {
+        const settings = getCleanupSettings(media.user_id, db);
+        if (settings.enabled && isCleanupDue(media, settings.graceDays)) {
+            await cleanupWatchedMedia(media, settings.action, db);
         }
     }
 
-    // Cleanup fully watched series
-    const allSeries = db.getMediaByType('series');
-    for (const series of allSeries) {
-        const status = db.getEpisodesWatchedStatus(series.id);
+    console.log('[StreamChecker] Cleanup complete');
+}
 
-        // Only delete if there are episodes AND all are watched
-        if (status.allWatched) {
-            // Check if user has auto-cleanup enabled
-            const autoCleanup = db.getSetting(`auto_cleanup_${series.user_id}`);
-            if (autoCleanup === 'true') {
-                db.deleteMedia(series.id);
-                console.log(`[Cleanup] 🗑️ Removed fully watched series: ${series.title} (${status.total} episodes, user ${series.user_id})`);
-            }
+// Video ids of a series' whole meta (all seasons, not only the tracked ones): Cinemeta's list,
+// else every TMDB season
+async function getAllVideoIds(series, db) {
+    const videoIds = await getSeriesVideoIds(series.imdb_id);
+    if (videoIds.length > 0 || !series.tmdb_id) return videoIds;
+
+    const show = await getTVShowSeasons(series.tmdb_id, db);
+    return (show?.seasons || []).flatMap(season =>
+        Array.from({ length: season.episode_count }, (_, i) => `${series.imdb_id}:${season.season_number}:${i + 1}`)
+    );
+}
+
+/**
+ * Mark the episodes of a series watched from its Stremio library state
+ * The bitfield is decoded against the series' whole video list, then mapped onto the tracked episodes.
+ * Episodes are only ever marked watched here, never unmarked. For a series restored from the
+ * archive, only the episode being played counts
+ * @param {Object} series - Series media object
+ * @param {Object} state - Library state from getLibraryItems
+ * @param {number} threshold - Progress at which the episode being played counts as watched
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { total, watched, allWatched } after the update
+ */
+async function syncEpisodesWatched(series, state, threshold, db) {
+    const episodes = db.getEpisodes(series.id);
+
+    // The bitfield of a series restored from the archive still holds the viewing that archived it.
+    // Without the whole video list it can't be aligned: better miss episodes than mark wrong ones
+    let watched = new Set();
+    if (state.watchedField && !series.restored_at) {
+        const videoIds = await getAllVideoIds(series, db);
+        if (videoIds.length > 0) {
+            watched = decodeWatchedBitfield(state.watchedField, videoIds);
+        } else {
+            console.log(`[StreamChecker] ${series.title}: no video list, watched episodes not read`);
         }
     }
 
-    console.log('[StreamChecker] Cleanup complete');
+    // The episode being played is in the bitfield only once Stremio marks it
+    if (state.videoId && state.duration > 0 && state.timeOffset / state.duration >= threshold) {
+        watched.add(state.videoId);
+    }
+
+    let marked = 0;
+    for (const ep of episodes) {
+        if (!ep.watched && watched.has(`${series.imdb_id}:${ep.season_number}:${ep.episode_number}`)) {
+            db.markEpisodeWatched(ep.id);
+            marked++;
+        }
+    }
+
+    const status = db.getEpisodesWatchedStatus(series.id);
+    if (marked > 0) {
+        console.log(`[StreamChecker] 📺 ${series.title}: ${marked} more episodes watched (${status.watched}/${status.total})`);
+    }
+    return status;
 }
 
 /**
- * Sync watched state from Stremio for all users (90% threshold)
- * Marks media as watched if Stremio reports >= 90% progress
+ * Sync watched state from Stremio for all users
+ * Movies are watched past the user's progress threshold (90% by default); series once all their episodes are watched
  * @param {Object} db - Database instance
  */
 async function syncWatchedState(db) {
-    const WATCHED_THRESHOLD = 0.9;
-    const users = db.getAllUsers();
+    // getAllUsers leaves out auth keys
+    const users = db.getAllUsers().map(u => db.getUserById(u.id));
 
     for (const user of users) {
         if (!user.stremio_auth_key) continue;
@@ -160,6 +543,9 @@ async function syncWatchedState(db) {
 
         if (mediaWithImdb.length === 0) continue;
 
+        const threshold = getWatchedThreshold(user.id, db);
+        const cleanup = getCleanupSettings(user.id, db);
+
         const imdbIds = mediaWithImdb.map(m => m.imdb_id);
         console.log(`[StreamChecker] Syncing watched state for ${user.username} (${imdbIds.length} items)`);
 
@@ -169,12 +555,20 @@ async function syncWatchedState(db) {
             const state = libraryItems[m.imdb_id];
             if (!state) continue;
 
+            // Restored from the archive: only watching since the restore counts
+            if (m.restored_at && !(state.lastWatched && new Date(state.lastWatched) > new Date(m.restored_at))) continue;
+
             let isWatched = false;
 
-            if (state.duration > 0) {
+            if (m.type === 'series') {
+                isWatched = (await syncEpisodesWatched(m, state, threshold, db)).allWatched;
+                if (isWatched) {
+                    console.log(`[StreamChecker] ✅ ${m.title}: all episodes watched by ${user.username}`);
+                }
+            } else if (state.duration > 0) {
                 // Use progress percentage
                 const progress = state.timeWatched / state.duration;
-                if (progress >= WATCHED_THRESHOLD) {
+                if (progress >= threshold) {
                     isWatched = true;
                     console.log(`[StreamChecker] ✅ ${m.title} watched at ${Math.round(progress * 100)}% by ${user.username}`);
                 }
@@ -185,10 +579,10 @@ async function syncWatchedState(db) {
             }
 
             if (isWatched) {
-                const autoCleanup = db.getSetting(`auto_cleanup_${user.id}`);
-                db.markAsWatched(m.id, autoCleanup === 'true');
-                if (autoCleanup === 'true') {
-                    console.log(`[StreamChecker] 🗑️ Auto-deleted watched content: ${m.title} (user ${user.username})`);
+                const watched = db.markAsWatched(m.id);
+                // Without a grace period, cleanup happens right away
+                if (cleanup.enabled && isCleanupDue(watched, cleanup.graceDays)) {
+                    await cleanupWatchedMedia(watched, cleanup.action, db);
                 }
             }
         }
@@ -196,32 +590,82 @@ async function syncWatchedState(db) {
 }
 
 /**
- * Start the background checker (runs every 24 hours)
+ * Start the background checker
+ * Recheck, watched sync and cleanup each run on their own cron schedule (see scheduler)
  * @param {Object} db - Database instance
  */
 function startBackgroundChecker(db) {
-    // Initial check after 1 minute
-    setTimeout(() => {
-        recheckUnavailableMedia(db);
-        syncWatchedState(db).catch(console.error);
-        cleanupWatchedContent(db);
-    }, 60 * 1000);
-
-    // Then every 24 hours
-    setInterval(() => {
-        recheckUnavailableMedia(db);
-        syncWatchedState(db).catch(console.error);
-        cleanupWatchedContent(db);
-    }, RECHECK_INTERVAL);
-
-    console.log('[StreamChecker] Background checker started (24h interval)');
+    registerScheduledTask('recheck', {
+        description: 'Refresh airing series, fill in missing ratings and recheck unavailable media',
+        defaultCron: '0 3 * * *',
+        run: async (db) => {
+            // New episodes first, so they get checked in the same run
+            await refreshAiringSeries(db).catch(console.error);
+            await backfillRatings(db).catch(console.error);
+
+            // The run lasts until the checks are done, so its duration and status are theirs
+            // (up to a deadline: a stuck job must not keep the task running for good)
+            const jobIds = recheckUnavailableMedia(db);
+            const timeout = Math.max(MIN_RECHECK_WAIT, jobIds.length * RECHECK_WAIT_PER_JOB);
+            const { failed, pending } = await waitForJobs(jobIds, db, timeout);
+            if (pending > 0) {
+                throw new Error(`Timed out after ${Math.round(timeout / 60000)} min with ${pending} of ${jobIds.length} stream checks unfinished`);
+            }
+            if (failed > 0) {
+                throw new Error(`${failed} of ${jobIds.length} stream checks failed`);
+            }
+        }
+    });
+
+    registerScheduledTask('releases', {
+        description: 'Start checking titles on their release day',
+        defaultCron: '15 0 * * *',
+        run: checkReleasedMedia
+    });
+
+    registerScheduledTask('sync_watched', {
+        description: 'Sync watched state from Stremio',
+        defaultCron: '0 4 * * *',
+        run: syncWatchedState
+    });
+
+    registerScheduledTask('cleanup', {
+        description: 'Delete or archive watched content (users with auto-cleanup)',
+        defaultCron: '30 4 * * *',
+        run: cleanupWatchedContent
+    });
+
+    registerScheduledTask('purge_trash', {
+        description: 'Permanently delete media kept in the trash past the retention period',
+        defaultCron: '45 4 * * *',
+        run: purgeTrash
+    });
+
+    registerScheduledTask('backup', {
+        description: 'Back up the database (keeps the latest backups, see Settings → Backups)',
+        defaultCron: '0 2 * * *',
+        run: createBackup
+    });
+
+    startScheduler(db);
+    console.log('[StreamChecker] Background checker started');
 }
 
 module.exports = {
     checkStreamsAvailable,
+    getUserStreamPreferences,
+    getQualityProfileForMedia,
+    getQualityProfileIdForRequest,
+    resolveCheckSettings,
+    saveCheckResult,
+    episodeHasStreams,
+    queueStreamCheck,
+    runStreamCheckJob,
+    pushToStremioLibrary,
     recheckUnavailableMedia,
+    checkReleasedMedia,
+    backfillRatings,
     cleanupWatchedContent,
     syncWatchedState,
-    startBackgroundChecker,
-    RECHECK_INTERVAL
+    startBackgroundChecker
 };
@@ -3,6 +3,10 @@
  * Fetches installed addons from a user's Stremio account
  */
 
+const { waitForHost } = require('./rateLimiter');
+const { filterStreams } = require('./releaseFilter');
+const { rankReleases } = require('./releaseScorer');
+
 const STREMIO_API_URL = 'https://api.strem.io/api';
 
 /**
@@ -72,10 +76,12 @@ async function getInstalledAddons(authKey) {
  * @param {Object} media - Media object with type, imdb_id, tmdb_id
  * @param {string} authKey - User's Stremio authentication key
  * @param {Array} selectedAddonIds - Optional array of addon IDs to check (if empty, checks all)
- * @param {Object} filterPrefs - User's filter preferences { languageTags: [], minResolution: null }
- * @returns {Promise<Object>} { available: boolean, streamCount: number, addons: Array with detailed streams }
+ * @param {Object} filterPrefs - User's filter rules (see releaseFilter.normalizeRules)
+ * @param {Object} options - { episodes: Array of episodes to check for series (S01E01 if none), health: addon health tracker, profile: quality profile }
+ * @returns {Promise<Object>} { available: boolean, streamCount: number, addons: Array with detailed streams, episodes?: Array }
+ * @throws {Error} If none of the addons answered for a video (the check is retried, see jobQueue)
  */
-async function checkStreamsWithUserAddons(media, authKey, selectedAddonIds = null, filterPrefs = null) {
+async function checkStreamsWithUserAddons(media, authKey, selectedAddonIds = null, filterPrefs = null, options = {}) {
     // Get IMDB ID (required for stream lookups)
     let imdbId = media.imdb_id;
 
@@ -107,6 +113,9 @@ async function checkStreamsWithUserAddons(media, authKey, selectedAddonIds = nul
         };
     }
 
+    // Our own stream resource proxies the other addons - never count it twice
+    addons = addons.filter(a => !isSeerrCatalogAddon(a));
+
     if (addons.length === 0) {
         return {
             available: false,
@@ -122,213 +131,292 @@ async function checkStreamsWithUserAddons(media, authKey, selectedAddonIds = nul
         console.log(`[Stremio] Filtering to ${addons.length} selected addons`);
     }
 
-    let totalStreams = 0;
     const type = media.type === 'movie' ? 'movie' : 'series';
-    const checkedAddons = [];
 
-    // Check each addon for streams
-    for (const addon of addons) {
+    if (type === 'movie') {
+        const result = await checkVideoStreams(addons, type, imdbId, filterPrefs, options);
+        console.log(`[Stremio] ${media.title}: ${result.streamCount} streams from ${result.addons.filter(a => a.streamCount > 0).length} addons`);
+
+        return {
+            available: result.streamCount > 0,
+            streamCount: result.streamCount,
+            addons: result.addons,
+            lastChecked: new Date().toISOString()
+        };
+    }
+
+    // Series: check the given episodes, or S01E01 if we don't know the episodes
+    const episodes = options.episodes && options.episodes.length > 0
+        ? options.episodes
+        : [{ id: null, season_number: 1, episode_number: 1 }];
+    const today = new Date().toISOString().substring(0, 10);
+
+    let totalStreams = 0;
+    const addonTotals = new Map();
+    const episodeResults = [];
+
+    for (const ep of episodes) {
+        const label = `S${String(ep.season_number).padStart(2, '0')}E${String(ep.episode_number).padStart(2, '0')}`;
+
+        // Episodes that haven't aired yet can't have streams
+        if (ep.air_date && ep.air_date > today) {
+            episodeResults.push({ id: ep.id, season: ep.season_number, episode: ep.episode_number, available: false, streamCount: 0, addons: [] });
+            continue;
+        }
+
+        console.log(`[Stremio] Checking ${media.title} ${label}`);
+        const result = await checkVideoStreams(addons, type, `${imdbId}:${ep.season_number}:${ep.episode_number}`, filterPrefs, options);
+
+        totalStreams += result.streamCount;
+        episodeResults.push({
+            id: ep.id,
+            season: ep.season_number,
+            episode: ep.episode_number,
+            available: result.streamCount > 0,
+            streamCount: result.streamCount,
+            addons: result.addons
+        });
+
+        // Series-level details: total per addon, keeping the 10 best scored streams
+        for (const addon of result.addons) {
+            const total = addonTotals.get(addon.id) || { id: addon.id, name: addon.name, streamCount: 0, streams: [], rejectedCount: 0, rejected: [] };
+            total.streamCount += addon.streamCount;
+            total.streams = [...total.streams, ...addon.streams.map(s => ({ ...s, episode: label }))]
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 10);
+            total.rejectedCount += addon.rejectedCount;
+            total.rejected.push(...addon.rejected.slice(0, 10 - total.rejected.length).map(s => ({ ...s, episode: label })));
+            addonTotals.set(addon.id, total);
+        }
+    }
+
+    const availableEpisodes = episodeResults.filter(e => e.available).length;
+    console.log(`[Stremio] ${media.title}: ${availableEpisodes}/${episodeResults.length} episodes available (${totalStreams} streams)`);
+
+    return {
+        available: availableEpisodes > 0,
+        streamCount: totalStreams,
+        addons: [...addonTotals.values()],
+        // Only report per-episode results for episodes we actually know about
+        ...(options.episodes && options.episodes.length > 0 && { episodes: episodeResults }),
+        lastChecked: new Date().toISOString()
+    };
+}
+
+/**
+ * Check a single video (movie or episode) against a list of addons
+ * @param {Array} addons - Addons as returned by getInstalledAddons
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} videoId - Stremio video ID (imdbId or imdbId:season:episode)
+ * @param {Object} filterPrefs - User's filter preferences
+ * @param {Object} options - { health: addon health tracker, profile: quality profile to score streams with }
+ * @returns {Promise<Object>} { streamCount: number, addons: Array with detailed streams, best first }
+ * @throws {Error} If none of the addons answered
+ */
+async function checkVideoStreams(addons, type, videoId, filterPrefs, options = {}) {
+    const { health = null, profile = null } = options;
+    const failed = [];
+    let answered = 0;
+
+    // Query all addons in parallel - per-host rate limiting is done in fetchAddonStreams
+    const results = await Promise.all(skipUnhealthyAddons(addons, health).map(async addon => {
         // Skip addons that don't support this type
         if (!addon.types.includes(type)) {
             console.log(`[Stremio] Skipping ${addon.name} - doesn't support ${type}`);
-            continue;
+            return null;
         }
 
         try {
-            // Fix: transportUrl often ends with /manifest.json - remove it to build correct stream URL
-            let baseUrl = addon.transportUrl;
-            if (baseUrl.endsWith('/manifest.json')) {
-                baseUrl = baseUrl.slice(0, -'/manifest.json'.length);
+            console.log(`[Stremio] Checking addon: ${addon.name} (${type} ${videoId})`);
+
+            const allStreams = await fetchAddonStreams(addon, type, videoId, health);
+            if (allStreams === null) {
+                failed.push(addon.name);
+                return null;
             }
+            answered++;
+
+            const filtered = filterStreams(allStreams, filterPrefs);
 
-            // For series, Stremio expects format imdbId:season:episode
-            // We check S01E01 by default to see if series has any streams
-            const streamId = type === 'series' ? `${imdbId}:1:1` : imdbId;
-            const streamUrl = `${baseUrl}/stream/${type}/${streamId}.json`;
-            console.log(`[Stremio] Checking addon: ${addon.name} (${type}${type === 'series' ? ' S01E01' : ''})`);
-
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
-
-            const response = await fetch(streamUrl, { signal: controller.signal });
-            clearTimeout(timeout);
-
-            if (response.ok) {
-                const data = await response.json();
-                let streams = data.streams || [];
-                const originalCount = streams.length;
-
-                // Apply user-configured filters
-                if (filterPrefs) {
-                    // Language filter
-                    if (filterPrefs.languageTags && filterPrefs.languageTags.length > 0) {
-                        streams = filterStreamsByLanguage(streams, filterPrefs.languageTags);
-                    }
-
-                    // Resolution filter
-                    if (filterPrefs.minResolution) {
-                        streams = filterStreamsByResolution(streams, filterPrefs.minResolution);
-                    }
-                }
-
-                const streamCount = streams.length;
-                if (streamCount < originalCount) {
-                    console.log(`[Stremio] ${addon.name}: ${originalCount} streams → ${streamCount} after filters`);
-                } else {
-                    console.log(`[Stremio] ${addon.name}: ${streamCount} streams (no filters applied)`);
-                }
-
-                // Debug: log first stream's fields to understand structure
-                if (streams.length > 0) {
-                    const s = streams[0];
-                    console.log(`[Stremio] Sample stream fields: name="${s.name}", title="${s.title}", description="${s.description?.substring(0, 100)}...", behaviorHints.filename="${s.behaviorHints?.filename}"`);
-                }
-
-                if (streamCount > 0) {
-                    totalStreams += streamCount;
-                    // Capture detailed stream info - use best available name
-                    const streamDetails = streams.slice(0, 10).map(s => {
-                        // Get the best release name - priority: behaviorHints.filename > first line of description > title > name
-                        let displayName = 'Unknown';
-
-                        // behaviorHints.filename often has the real torrent name
-                        if (s.behaviorHints?.filename) {
-                            displayName = s.behaviorHints.filename;
-                        }
-                        // description first line often has the release name
-                        else if (s.description) {
-                            displayName = s.description.split('\n')[0].trim();
-                        }
-                        // title (for UsenetStreamer etc.)
-                        else if (s.title) {
-                            displayName = s.title.split('\n')[0].trim();
-                        }
-                        // fallback to name
-                        else if (s.name) {
-                            displayName = s.name;
-                        }
-
-                        // Clean up: remove emojis at start, HTML tags
-                        displayName = displayName.replace(/<[^>]*>/g, ' ').trim();
-
-                        return {
-                            name: displayName,
-                            title: s.title || '',
-                            quality: extractQuality(displayName + ' ' + (s.name || '')),
-                            size: extractSize(displayName + ' ' + (s.title || '') + ' ' + (s.description || ''))
-                        };
-                    });
-                    checkedAddons.push({
-                        id: addon.id,
-                        name: addon.name,
-                        streamCount,
-                        streams: streamDetails
-                    });
-                }
+            // Streams under the profile's minimum score don't count, like filtered ones
+            const { ranked, belowMinimum } = rankReleases(filtered.accepted, profile);
+            const rejected = [...filtered.rejected, ...belowMinimum];
+
+            const streamCount = ranked.length;
+            if (rejected.length > 0) {
+                console.log(`[Stremio] ${addon.name}: ${allStreams.length} streams → ${streamCount} after filters and scoring`);
             } else {
-                console.log(`[Stremio] ${addon.name} returned error: ${response.status}`);
+                console.log(`[Stremio] ${addon.name}: ${streamCount} streams (nothing filtered out)`);
             }
+
+            if (streamCount === 0 && rejected.length === 0) return null;
+
+            // Record the decision for each stream, so rejections can be explained
+            return {
+                id: addon.id,
+                name: addon.name,
+                streamCount,
+                streams: ranked.slice(0, 10).map(entry => toStreamDetail(entry)),
+                rejectedCount: rejected.length,
+                rejected: rejected.slice(0, 10).map(entry => ({
+                    ...toStreamDetail(entry),
+                    reasons: entry.reasons
+                }))
+            };
         } catch (error) {
             console.log(`[Stremio] Check failed for ${addon.name}: ${error.message}`);
+            failed.push(addon.name);
+            return null;
         }
+    }));
+
+    // Not one addon answered (errors, timeouts, all disabled): there's no result to record,
+    // the check is retried later instead of counting as "no streams"
+    const supported = addons.filter(addon => addon.types.includes(type));
+    if (answered === 0 && supported.length > 0) {
+        throw new Error(failed.length > 0
+            ? `No addon answered for ${videoId} (failed: ${failed.join(', ')})`
+            : `No addon answered for ${videoId} (all temporarily disabled)`);
     }
 
-    console.log(`[Stremio] ${media.title}: ${totalStreams} streams from ${checkedAddons.length} addons`);
+    const checkedAddons = results.filter(Boolean);
+    const totalStreams = checkedAddons.reduce((sum, a) => sum + a.streamCount, 0);
+
+    return { streamCount: totalStreams, addons: checkedAddons };
+}
 
+/**
+ * Summary of a stream stored in streams_detail
+ * @param {Object} entry - { stream, release, score, matched } (score is unset for filtered streams)
+ * @returns {Object} { name, title, quality, size, score, scoreDetails, release }
+ */
+function toStreamDetail({ stream, release, score, matched }) {
     return {
-        available: totalStreams > 0,
-        streamCount: totalStreams,
-        addons: checkedAddons,
-        lastChecked: new Date().toISOString()
+        name: release.name,
+        title: stream.title || '',
+        quality: [release.resolution, ...release.hdr].filter(Boolean).join(' ').toUpperCase(),
+        size: release.sizeText,
+        score: score ?? null,
+        scoreDetails: matched || [],
+        release: {
+            source: release.source,
+            codec: release.codec,
+            audio: release.audio,
+            languages: release.languages,
+            group: release.group
+        }
     };
 }
 
 /**
- * Filter streams by language tags - configurable per user
- * @param {Array} streams - Array of stream objects
- * @param {Array} languageTags - Array of allowed language tags (max 2), e.g. ['FRENCH', 'MULTI']
- * @returns {Array} Filtered streams
+ * Fetch raw streams for a video from a single addon
+ * @param {Object} addon - Addon as returned by getInstalledAddons
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} videoId - Stremio video ID (imdbId or imdbId:season:episode)
+ * @param {Object} health - Optional health tracker (see addonHealth.createHealthTracker)
+ * @returns {Promise<Array|null>} Streams, or null if the addon returned an error
  */
-function filterStreamsByLanguage(streams, languageTags = []) {
-    // If no language tags configured, return all streams
-    if (!languageTags || languageTags.length === 0) {
-        return streams;
+async function fetchAddonStreams(addon, type, videoId, health = null) {
+    // Fix: transportUrl often ends with /manifest.json - remove it to build correct stream URL
+    let baseUrl = addon.transportUrl;
+    if (baseUrl.endsWith('/manifest.json')) {
+        baseUrl = baseUrl.slice(0, -'/manifest.json'.length);
     }
 
-    // Convert to uppercase for case-insensitive matching
-    const allowedTags = languageTags.map(tag => tag.toUpperCase());
+    const streamUrl = `${baseUrl}/stream/${type}/${videoId}.json`;
 
-    // DEBUG: Log first 3 stream names to see what we're working with
-    if (streams.length > 0) {
-        console.log(`[Stremio] Sample stream names (first 3):`);
-        streams.slice(0, 3).forEach((s, i) => {
-            const name = s.behaviorHints?.filename || s.description || s.title || s.name || 'NO NAME';
-            console.log(`  ${i + 1}. "${name.substring(0, 100)}"`);
-        });
-    }
+    await waitForHost(streamUrl);
 
-    const filtered = streams.filter(stream => {
-        // Get stream name from best available source
-        const streamName = (stream.behaviorHints?.filename || stream.description || stream.title || stream.name || '').toUpperCase();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
+    const startedAt = Date.now();
 
-        // Check if stream contains ANY of the allowed language tags
-        const hasAllowedTag = allowedTags.some(tag => streamName.includes(tag));
+    try {
+        const response = await fetch(streamUrl, { signal: controller.signal });
 
-        return hasAllowedTag;
-    });
+        if (!response.ok) {
+            console.log(`[Stremio] ${addon.name} returned error: ${response.status}`);
+            health?.recordFailure(addon, Date.now() - startedAt, `HTTP ${response.status}`);
+            return null;
+        }
 
-    if (filtered.length < streams.length) {
-        console.log(`[Stremio] Language filter (${allowedTags.join(' OR ')}): ${streams.length} → ${filtered.length} streams`);
+        const data = await response.json();
+        health?.recordSuccess(addon, Date.now() - startedAt);
+        return data.streams || [];
+    } catch (error) {
+        const message = error.name === 'AbortError' ? 'Timeout after 10s' : error.message;
+        health?.recordFailure(addon, Date.now() - startedAt, message);
+        throw new Error(message);
+    } finally {
+        clearTimeout(timeout);
     }
+}
 
-    return filtered;
+/**
+ * Drop addons whose circuit is open because they keep failing
+ * @param {Array} addons - Addons as returned by getInstalledAddons
+ * @param {Object} health - Optional health tracker
+ * @returns {Array} Addons to query
+ */
+function skipUnhealthyAddons(addons, health) {
+    if (!health) return addons;
+
+    return addons.filter(addon => {
+        if (health.isAvailable(addon)) return true;
+        console.log(`[Stremio] Skipping ${addon.name} - failing repeatedly, temporarily disabled`);
+        return false;
+    });
 }
 
 /**
- * Filter streams by minimum resolution
- * @param {Array} streams - Array of stream objects
- * @param {string} minResolution - Minimum resolution: '2160p', '1080p', '720p', or null for all
- * @returns {Array} Filtered streams
+ * Check if an addon is one of our own catalogs (querying it would loop back to us)
+ * @param {Object} addon - Addon as returned by getInstalledAddons
+ * @returns {boolean}
  */
-function filterStreamsByResolution(streams, minResolution = null) {
-    if (!minResolution) {
-        return streams;
-    }
+function isSeerrCatalogAddon(addon) {
+    return addon.id === 'community.seerrcatalog' || addon.id.startsWith('com.seerrcatalog.user.');
+}
 
-    const resolutionOrder = { '2160P': 4, '4K': 4, 'UHD': 4, '1080P': 3, '720P': 2, '480P': 1 };
-    const minLevel = resolutionOrder[minResolution.toUpperCase()] || 0;
+/**
+ * Get filtered streams for a video from all of a user's addons, best first
+ * Used by our own stream resource so the catalog can be played on its own
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} videoId - Stremio video ID (imdbId or imdbId:season:episode)
+ * @param {string} authKey - User's Stremio authentication key
+ * @param {Array} selectedAddonIds - Optional array of addon IDs to query (if empty, queries all)
+ * @param {Object} filterPrefs - User's filter rules (see releaseFilter.normalizeRules)
+ * @param {Object} options - { health: addon health tracker, profile: quality profile to score streams with }
+ * @returns {Promise<Array>} Stremio stream objects ranked by score, then resolution and size
+ */
+async function getRankedStreams(type, videoId, authKey, selectedAddonIds = null, filterPrefs = null, options = {}) {
+    let addons = await getInstalledAddons(authKey);
+
+    addons = addons.filter(a => a.types.includes(type) && !isSeerrCatalogAddon(a));
+    if (selectedAddonIds && selectedAddonIds.length > 0) {
+        addons = addons.filter(a => selectedAddonIds.includes(a.id));
+    }
+    addons = skipUnhealthyAddons(addons, options.health);
 
-    const filtered = streams.filter(stream => {
-        const streamName = (stream.behaviorHints?.filename || stream.description || stream.title || stream.name || '').toUpperCase();
+    // Query addons in parallel - Stremio is waiting on this response
+    const results = await Promise.allSettled(addons.map(addon => fetchAddonStreams(addon, type, videoId, options.health)));
 
-        // Check for resolution tags
-        for (const [res, level] of Object.entries(resolutionOrder)) {
-            if (streamName.includes(res) && level >= minLevel) {
-                return true;
+    const accepted = [];
+    results.forEach((result, i) => {
+        if (result.status !== 'fulfilled' || !result.value) {
+            if (result.status === 'rejected') {
+                console.log(`[Stremio] Stream fetch failed for ${addons[i].name}: ${result.reason?.message}`);
             }
+            return;
         }
 
-        // If no resolution detected, exclude (safe approach)
-        return false;
+        accepted.push(...filterStreams(result.value, filterPrefs).accepted);
     });
 
-    if (filtered.length < streams.length) {
-        console.log(`[Stremio] Resolution filter (${minResolution}+): ${streams.length} → ${filtered.length} streams`);
-    }
-
-    return filtered;
-}
+    const { ranked } = rankReleases(accepted, options.profile);
 
-// Helper to extract quality from stream name
-function extractQuality(name) {
-    const match = name.match(/\b(4K|2160p|1080p|720p|480p|HDR|DV|Dolby Vision)\b/i);
-    return match ? match[1].toUpperCase() : '';
-}
+    console.log(`[Stremio] ${videoId}: ${ranked.length} ranked streams from ${addons.length} addons`);
 
-// Helper to extract size from stream name
-function extractSize(name) {
-    const match = name.match(/\b(\d+(?:\.\d+)?\s*(?:GB|MB))\b/i);
-    return match ? match[1] : '';
+    return ranked.map(r => r.stream);
 }
 
 /**
@@ -437,34 +525,149 @@ async function loginWithCredentials(email, password) {
     }
 }
 
+/**
+ * Raw library items of a Stremio user
+ * @param {string} authKey - User's Stremio authentication key
+ * @param {string[]} ids - Library item IDs (IMDB IDs)
+ * @returns {Promise<Array>} Library items, including removed ones
+ */
+async function datastoreGet(authKey, ids) {
+    const response = await fetch(`${STREMIO_API_URL}/datastoreGet`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            type: 'DatastoreGet',
+            authKey,
+            collection: 'libraryItem',
+            ids
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`datastoreGet error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.result || [];
+}
+
+/**
+ * Write library items to a Stremio user's library
+ * @param {string} authKey - User's Stremio authentication key
+ * @param {Array} changes - Full library items
+ */
+async function datastorePut(authKey, changes) {
+    const response = await fetch(`${STREMIO_API_URL}/datastorePut`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            type: 'DatastorePut',
+            authKey,
+            collection: 'libraryItem',
+            changes
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`datastorePut error: ${response.status}`);
+    }
+}
+
+/**
+ * Add a media item to a Stremio user's library
+ * Items already in the library keep their watch state
+ * @param {string} authKey - User's Stremio authentication key
+ * @param {Object} media - Media object (needs imdb_id)
+ * @returns {Promise<boolean>} true if the library was changed
+ */
+async function addToLibrary(authKey, media) {
+    if (!authKey || !media.imdb_id) return false;
+
+    const [existing] = await datastoreGet(authKey, [media.imdb_id]);
+    if (existing && !existing.removed) return false;
+
+    const now = new Date().toISOString();
+    await datastorePut(authKey, [{
+        // Same shape as the items Stremio creates itself
+        _id: media.imdb_id,
+        name: media.title,
+        type: media.type,
+        poster: media.poster || null,
+        posterShape: 'poster',
+        _ctime: now,
+        state: {
+            lastWatched: null,
+            timeWatched: 0,
+            timeOffset: 0,
+            overallTimeWatched: 0,
+            timesWatched: 0,
+            flaggedWatched: 0,
+            duration: 0,
+            video_id: null,
+            watched: null,
+            noNotif: false
+        },
+        behaviorHints: { defaultVideoId: null, featuredVideoId: null, hasScheduledVideos: false },
+        ...existing,
+        removed: false,
+        temp: false,
+        _mtime: now
+    }]);
+
+    console.log(`[Stremio] Added ${media.title} to library`);
+    return true;
+}
+
+/**
+ * Remove a media item from a Stremio user's library (like Stremio does: flagged as removed)
+ * @param {string} authKey - User's Stremio authentication key
+ * @param {Object} media - Media object (needs imdb_id)
+ * @returns {Promise<boolean>} true if the library was changed
+ */
+async function removeFromLibrary(authKey, media) {
+    if (!authKey || !media.imdb_id) return false;
+
+    const [existing] = await datastoreGet(authKey, [media.imdb_id]);
+    if (!existing || existing.removed) return false;
+
+    await datastorePut(authKey, [{ ...existing, removed: true, _mtime: new Date().toISOString() }]);
+
+    console.log(`[Stremio] Removed ${media.title} from library`);
+    return true;
+}
+
+/**
+ * Video ids of a series from its Cinemeta meta, in the meta's order (what Stremio's watched bitfield covers)
+ * @param {string} imdbId - Series IMDB ID
+ * @returns {Promise<string[]>} Video ids ("tt123:1:2"), empty if Cinemeta doesn't know the series
+ */
+async function getSeriesVideoIds(imdbId) {
+    try {
+        const response = await fetch(`https://v3-cinemeta.strem.io/meta/series/${imdbId}.json`);
+        if (response.ok) {
+            const data = await response.json();
+            return (data.meta?.videos || []).map(video => video.id).filter(Boolean);
+        }
+    } catch (error) {
+        console.error('[Stremio] Failed to get series videos from Cinemeta:', error.message);
+    }
+
+    return [];
+}
+
 /**
  * Get library items (watch state) from Stremio for given IMDB IDs
  * @param {string} authKey - User's Stremio authentication key
  * @param {string[]} imdbIds - List of IMDB IDs to check
- * @returns {Promise<Object>} Map of imdbId -> { watched, timeWatched, duration }
+ * @returns {Promise<Object>} Map of imdbId -> { watched, timeWatched, duration, watchedField, videoId, timeOffset, lastWatched }
+ *   watchedField: series watched bitfield (see watchedBitfield), videoId/timeOffset: last played video and position,
+ *   lastWatched: when it was last played
  */
 async function getLibraryItems(authKey, imdbIds) {
     if (!authKey || !imdbIds || imdbIds.length === 0) return {};
 
     try {
-        const response = await fetch(`${STREMIO_API_URL}/datastoreGet`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                type: 'DatastoreGet',
-                authKey,
-                collection: 'libraryItem',
-                ids: imdbIds
-            })
-        });
-
-        if (!response.ok) {
-            console.error(`[Stremio] datastoreGet error: ${response.status}`);
-            return {};
-        }
-
-        const data = await response.json();
-        const items = data.result || [];
+        const items = await datastoreGet(authKey, imdbIds);
 
         const result = {};
         for (const item of items) {
@@ -473,7 +676,11 @@ async function getLibraryItems(authKey, imdbIds) {
             result[item._id] = {
                 watched: !!state.watched,
                 timeWatched: state.timeWatched || 0,
-                duration: state.duration || 0
+                duration: state.duration || 0,
+                watchedField: typeof state.watched === 'string' ? state.watched : null,
+                videoId: state.video_id || null,
+                timeOffset: state.timeOffset || 0,
+                lastWatched: state.lastWatched || null
             };
         }
 
@@ -487,9 +694,13 @@ async function getLibraryItems(authKey, imdbIds) {
 module.exports = {
     getInstalledAddons,
     checkStreamsWithUserAddons,
+    getRankedStreams,
     getImdbIdFromTmdb,
     testAuthKey,
     loginWithCredentials,
-    getLibraryItems
+    getLibraryItems,
+    getSeriesVideoIds,
+    addToLibrary,
+    removeFromLibrary
 };
 
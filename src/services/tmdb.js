@@ -6,6 +6,13 @@
 const TMDB_API_URL = 'https://api.themoviedb.org/3';
 const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
 
+// Language of titles, overviews and genre names
+const TMDB_LANGUAGE = 'fr-FR';
+
+// TMDB genre IDs -> names per type, from /genre/{movie|tv}/list (fetched once)
+// Search results only carry genre_ids, so we map them to match full details
+const genreNames = { movie: null, series: null };
+
 // Get API key from environment or database
 function getApiKey(db = null) {
     // Try environment first
@@ -33,7 +40,7 @@ async function searchTMDB(query, type = 'multi', db = null) {
 
     try {
         const endpoint = type === 'multi' ? 'search/multi' : `search/${type}`;
-        const url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(query)}&language=fr-FR`;
+        const url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(query)}&language=${TMDB_LANGUAGE}`;
 
         const response = await fetch(url);
         if (!response.ok) {
@@ -41,6 +48,7 @@ async function searchTMDB(query, type = 'multi', db = null) {
         }
 
         const data = await response.json();
+        await loadGenres(db);
         return data.results
             .filter(item => item.media_type === 'movie' || item.media_type === 'tv' || type !== 'multi')
             .map(item => formatTMDBResult(item, type));
@@ -58,7 +66,7 @@ async function getTMDBDetails(tmdbId, type, db = null) {
 
     try {
         const mediaType = type === 'series' ? 'tv' : 'movie';
-        const url = `${TMDB_API_URL}/${mediaType}/${tmdbId}?api_key=${apiKey}&language=fr-FR&append_to_response=external_ids`;
+        const url = `${TMDB_API_URL}/${mediaType}/${tmdbId}?api_key=${apiKey}&language=${TMDB_LANGUAGE}&append_to_response=external_ids`;
 
         const response = await fetch(url);
         if (!response.ok) {
@@ -73,6 +81,8 @@ async function getTMDBDetails(tmdbId, type, db = null) {
     }
 }
 
+// Results of searches and finds only have genre IDs: their names come from the lists searchTMDB
+// and findByExternalId load first
 function formatTMDBResult(item, type) {
     const mediaType = item.media_type || type;
     const isMovie = mediaType === 'movie';
@@ -87,13 +97,78 @@ function formatTMDBResult(item, type) {
         overview: item.overview,
         poster: item.poster_path ? `${TMDB_IMAGE_URL}/w500${item.poster_path}` : null,
         backdrop: item.backdrop_path ? `${TMDB_IMAGE_URL}/original${item.backdrop_path}` : null,
-        genres: item.genres?.map(g => g.name) || item.genre_ids || [],
+        genres: item.genres?.map(g => g.name) || toGenreNames(item.genre_ids, isMovie ? 'movie' : 'series'),
         runtime: item.runtime || item.episode_run_time?.[0] || null,
         vote_average: item.vote_average,
         popularity: item.popularity
     };
 }
 
+/**
+ * Fetch the movie and TV genre lists, once (a failed fetch is tried again on the next call)
+ * @param {Object} db - Database instance (for the API key)
+ * @returns {Promise<void>}
+ */
+async function loadGenres(db = null) {
+    const apiKey = getApiKey(db);
+    if (!apiKey) return;
+
+    for (const type of ['movie', 'series']) {
+        if (genreNames[type]) continue;
+        try {
+            const url = `${TMDB_API_URL}/genre/${type === 'series' ? 'tv' : 'movie'}/list?api_key=${apiKey}&language=${TMDB_LANGUAGE}`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`TMDB API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            genreNames[type] = Object.fromEntries((data.genres || []).map(g => [g.id, g.name]));
+        } catch (e) {
+            console.error(`[TMDB] Get ${type} genres error:`, e.message);
+        }
+    }
+}
+
+// Name of a genre ID from the loaded lists (IDs shared by movies and TV have the same name)
+function getGenreName(id, type) {
+    const lists = type === 'movie' ? [genreNames.movie, genreNames.series] : [genreNames.series, genreNames.movie];
+    for (const list of lists) {
+        if (list && list[id]) return list[id];
+    }
+    return null;
+}
+
+// Genre IDs and/or names to names, with the genre lists already loaded
+function toGenreNames(genres, type) {
+    if (!Array.isArray(genres)) return [];
+
+    const names = genres
+        .map(g => {
+            if (typeof g === 'number' || /^\d+$/.test(g)) return getGenreName(g, type);
+            if (g && typeof g === 'object') return g.name || null;
+            return g;
+        })
+        .filter(Boolean);
+
+    return [...new Set(names)];
+}
+
+/**
+ * Normalise a genre list to names
+ * Accepts TMDB numeric genre_ids, names, or a mix of both
+ * @param {Array} genres - Genre IDs and/or names
+ * @param {string} type - 'movie' or 'series'
+ * @param {Object} db - Database instance (for the API key)
+ * @returns {Promise<string[]>} Genre names (unknown IDs are dropped)
+ */
+async function normalizeGenres(genres, type, db = null) {
+    if (Array.isArray(genres) && genres.some(g => typeof g === 'number' || /^\d+$/.test(g))) {
+        await loadGenres(db);
+    }
+    return toGenreNames(genres, type);
+}
+
 /**
  * Find TMDB content by external ID (TVDB, IMDB)
  */
@@ -105,7 +180,7 @@ async function findByExternalId(externalId, externalSource, db = null) {
     }
 
     try {
-        const url = `${TMDB_API_URL}/find/${externalId}?api_key=${apiKey}&external_source=${externalSource}&language=fr-FR`;
+        const url = `${TMDB_API_URL}/find/${externalId}?api_key=${apiKey}&external_source=${externalSource}&language=${TMDB_LANGUAGE}`;
         console.log('[TMDB] Finding by external ID:', externalId, externalSource);
 
         const response = await fetch(url);
@@ -118,6 +193,7 @@ async function findByExternalId(externalId, externalSource, db = null) {
             movies: data.movie_results?.length || 0,
             tv: data.tv_results?.length || 0
         });
+        await loadGenres(db);
         return data;
     } catch (e) {
         console.error('[TMDB] Find by external ID error:', e.message);
@@ -136,7 +212,7 @@ async function getTVShowSeasons(tmdbId, db = null) {
     }
 
     try {
-        const url = `${TMDB_API_URL}/tv/${tmdbId}?api_key=${apiKey}&language=fr-FR`;
+        const url = `${TMDB_API_URL}/tv/${tmdbId}?api_key=${apiKey}&language=${TMDB_LANGUAGE}`;
         console.log(`[TMDB] Fetching seasons for TV show ${tmdbId}`);
 
         const response = await fetch(url);
@@ -159,6 +235,7 @@ async function getTVShowSeasons(tmdbId, db = null) {
         console.log(`[TMDB] Found ${seasons.length} seasons for ${data.name}`);
         return {
             name: data.name,
+            status: data.status || null, // 'Returning Series', 'Ended', 'Canceled'...
             seasons: seasons,
             total_seasons: seasons.length,
             total_episodes: seasons.reduce((sum, s) => sum + s.episode_count, 0)
@@ -169,6 +246,87 @@ async function getTVShowSeasons(tmdbId, db = null) {
     }
 }
 
+/**
+ * Get the episodes of a TV show season from TMDB
+ */
+async function getTVSeasonDetails(tmdbId, seasonNumber, db = null) {
+    const apiKey = getApiKey(db);
+    if (!apiKey) {
+        console.warn('[TMDB] No API key configured');
+        return null;
+    }
+
+    try {
+        const url = `${TMDB_API_URL}/tv/${tmdbId}/season/${seasonNumber}?api_key=${apiKey}&language=${TMDB_LANGUAGE}`;
+        console.log(`[TMDB] Fetching season ${seasonNumber} for TV show ${tmdbId}`);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        const episodes = (data.episodes || []).map(ep => ({
+            episode_number: ep.episode_number,
+            title: ep.name || null,
+            overview: ep.overview || null,
+            air_date: ep.air_date || null
+        }));
+
+        return {
+            season_number: data.season_number ?? seasonNumber,
+            episodes: episodes
+        };
+    } catch (e) {
+        console.error('[TMDB] Get TV season error:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Get a movie's release dates from TMDB (earliest date of each kind, any country)
+ * @returns {Promise<Object|null>} { theatrical, digital, physical } as YYYY-MM-DD (null if unknown)
+ */
+async function getMovieReleaseDates(tmdbId, db = null) {
+    const apiKey = getApiKey(db);
+    if (!apiKey) {
+        console.warn('[TMDB] No API key configured');
+        return null;
+    }
+
+    try {
+        const url = `${TMDB_API_URL}/movie/${tmdbId}/release_dates?api_key=${apiKey}`;
+        console.log(`[TMDB] Fetching release dates for movie ${tmdbId}`);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        // TMDB release types: 1 Premiere, 2 Theatrical (limited), 3 Theatrical, 4 Digital, 5 Physical, 6 TV
+        const kinds = { 2: 'theatrical', 3: 'theatrical', 4: 'digital', 5: 'physical' };
+        const dates = { theatrical: null, digital: null, physical: null };
+
+        for (const country of data.results || []) {
+            for (const release of country.release_dates || []) {
+                const kind = kinds[release.type];
+                const date = release.release_date?.substring(0, 10);
+                if (kind && date && (!dates[kind] || date < dates[kind])) {
+                    dates[kind] = date;
+                }
+            }
+        }
+
+        return dates;
+    } catch (e) {
+        console.error('[TMDB] Get release dates error:', e.message);
+        return null;
+    }
+}
+
 function isConfigured(db = null) {
     return !!getApiKey(db);
 }
@@ -177,8 +335,12 @@ module.exports = {
     searchTMDB,
     getTMDBDetails,
     formatTMDBResult,
+    normalizeGenres,
     getApiKey,
     isConfigured,
     findByExternalId,
-    getTVShowSeasons
+    getTVShowSeasons,
+    getTVSeasonDetails,
+    getMovieReleaseDates,
+    TMDB_API_URL
 };
@@ -0,0 +1,42 @@
+/**
+ * Trash
+ * Deleted media (WebUI, Radarr/Sonarr DELETE, auto-cleanup) stay in the trash and can be
+ * restored until they are purged, trash_retention_days after their deletion.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Days deleted media are kept in the trash (0 = never purged)
+ * @param {Object} db - Database instance
+ * @returns {number}
+ */
+function getTrashRetentionDays(db) {
+    const value = db.getSetting('trash_retention_days');
+    if (value === null || value === '' || isNaN(value)) return DEFAULT_RETENTION_DAYS;
+    return Math.max(0, parseInt(value));
+}
+
+/**
+ * Permanently delete media that stayed in the trash longer than the retention period
+ * @param {Object} db - Database instance
+ * @returns {number} Number of purged items
+ */
+function purgeTrash(db) {
+    const days = getTrashRetentionDays(db);
+    if (days === 0) return 0;
+
+    const purged = db.purgeDeletedMedia(new Date(Date.now() - days * DAY).toISOString());
+    if (purged > 0) {
+        console.log(`[Trash] Purged ${purged} items deleted more than ${days} days ago`);
+    }
+    return purged;
+}
+
+module.exports = {
+    getTrashRetentionDays,
+    purgeTrash,
+    DEFAULT_RETENTION_DAYS
+};
@@ -0,0 +1,51 @@
+/**
+ * Stremio watched bitfield
+ * Series library items store watched episodes as "<anchor video id>:<anchor length>:<bits>",
+ * bits being a zlib-deflated, base64-encoded bitfield over the series' video ids
+ * (one bit per video, in the order of the meta's video list). The anchor is a watched video
+ * and its 1-based position, so the bits can be realigned when videos are added before it.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Decode a watched bitfield against a list of video ids
+ * @param {string} serialized - state.watched of a library item
+ * @param {string[]} videoIds - Video ids ("tt123:1:2") in season/episode order
+ * @returns {Set<string>} Watched video ids (empty if the field can't be read or aligned)
+ */
+function decodeWatchedBitfield(serialized, videoIds) {
+    const watched = new Set();
+    if (typeof serialized !== 'string' || !videoIds || videoIds.length === 0) return watched;
+
+    // The anchor id itself contains colons (tt123:1:2)
+    const parts = serialized.split(':');
+    if (parts.length < 3) return watched;
+    const encoded = parts.pop();
+    const anchorLength = parseInt(parts.pop());
+    const anchorId = parts.join(':');
+
+    const anchorIndex = videoIds.indexOf(anchorId);
+    if (anchorIndex === -1 || isNaN(anchorLength)) return watched;
+
+    let bytes;
+    try {
+        bytes = zlib.inflateSync(Buffer.from(encoded, 'base64'));
+    } catch (e) {
+        return watched;
+    }
+
+    // Bit i of the stored field is video (i - offset) of our list
+    const offset = anchorLength - anchorIndex - 1;
+    videoIds.forEach((id, i) => {
+        const bit = i + offset;
+        if (bit < 0 || bit >= bytes.length * 8) return;
+        if ((bytes[Math.floor(bit / 8)] >> (bit % 8)) & 1) watched.add(id);
+    });
+
+    return watched;
+}
+
+module.exports = {
+    decodeWatchedBitfield
+};
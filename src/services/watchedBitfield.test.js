@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { decodeWatchedBitfield } = require('./watchedBitfield');
+
+// Video ids of a series with 3 seasons of 2 episodes
+const VIDEOS = ['tt1:1:1', 'tt1:1:2', 'tt1:2:1', 'tt1:2:2', 'tt1:3:1', 'tt1:3:2'];
+
+// Serialize like Stremio: the anchor is the last watched video and its 1-based position
+function encode(videoIds, watchedIds) {
+    const bytes = Buffer.alloc(Math.ceil(videoIds.length / 8));
+    let anchor = 0;
+    videoIds.forEach((id, i) => {
+        if (!watchedIds.includes(id)) return;
+        bytes[Math.floor(i / 8)] |= 1 << (i % 8);
+        anchor = i;
+    });
+    return `${videoIds[anchor]}:${anchor + 1}:${zlib.deflateSync(bytes).toString('base64')}`;
+}
+
+test('decodes the watched videos of the list the field was written for', () => {
+    const field = encode(VIDEOS, ['tt1:1:1', 'tt1:2:1', 'tt1:2:2']);
+    assert.deepEqual([...decodeWatchedBitfield(field, VIDEOS)], ['tt1:1:1', 'tt1:2:1', 'tt1:2:2']);
+});
+
+test('reads bits past the first byte', () => {
+    const videos = Array.from({ length: 20 }, (_, i) => `tt2:1:${i + 1}`);
+    const field = encode(videos, ['tt2:1:3', 'tt2:1:9', 'tt2:1:17']);
+    assert.deepEqual([...decodeWatchedBitfield(field, videos)], ['tt2:1:3', 'tt2:1:9', 'tt2:1:17']);
+});
+
+test('realigns on the anchor when videos were added before it', () => {
+    // Written before season 1 was listed (specials added, a season split...)
+    const field = encode(VIDEOS.slice(2), ['tt1:2:2', 'tt1:3:1']);
+    assert.deepEqual([...decodeWatchedBitfield(field, VIDEOS)], ['tt1:2:2', 'tt1:3:1']);
+});
+
+test('only lines up with the whole video list, not a subset of seasons', () => {
+    const field = encode(VIDEOS, ['tt1:2:1', 'tt1:2:2', 'tt1:3:2']);
+
+    // Seasons 1 and 3 tracked: season 2 bits would be read as season 1
+    const tracked = ['tt1:1:1', 'tt1:1:2', 'tt1:3:1', 'tt1:3:2'];
+    assert.deepEqual([...decodeWatchedBitfield(field, tracked)], ['tt1:1:1', 'tt1:1:2', 'tt1:3:2']);
+
+    const watched = decodeWatchedBitfield(field, VIDEOS);
+    assert.deepEqual(tracked.filter(id => watched.has(id)), ['tt1:3:2']);
+});
+
+test('returns nothing for fields it cannot read', () => {
+    const field = encode(VIDEOS, ['tt1:1:1']);
+
+    assert.equal(decodeWatchedBitfield(null, VIDEOS).size, 0);
+    assert.equal(decodeWatchedBitfield(field, []).size, 0);
+    assert.equal(decodeWatchedBitfield('tt1:1:1', VIDEOS).size, 0);
+    assert.equal(decodeWatchedBitfield(field.replace('tt1:1:1', 'tt9:1:1'), VIDEOS).size, 0);
+    assert.equal(decodeWatchedBitfield('tt1:1:1:1:not-deflated', VIDEOS).size, 0);
+});
@@ -0,0 +1,265 @@
+/**
+ * Watchlist import from other services
+ * Letterboxd CSV, IMDb list CSV and Trakt JSON exports are parsed, matched to TMDB (by ID
+ * when the file has one, by title and year otherwise) and previewed with a match confidence;
+ * the chosen matches are then added to a user's catalog like a Radarr/Sonarr request (mediaIngest).
+ */
+
+const { parseCsv } = require('./csv');
+const { searchTMDB, getTMDBDetails, findByExternalId, formatTMDBResult } = require('./tmdb');
+const { getQualityProfileIdForRequest } = require('./streamChecker');
+const { ingestMedia } = require('./mediaIngest');
+
+const FORMATS = ['letterboxd', 'imdb', 'trakt'];
+
+// IMDb "Title Type" values (current and older exports) we can request
+const IMDB_TYPES = {
+    'movie': 'movie', 'tv movie': 'movie', 'tvmovie': 'movie', 'short': 'movie', 'tv short': 'movie',
+    'tvshort': 'movie', 'video': 'movie', 'tv special': 'movie', 'tvspecial': 'movie',
+    'tv series': 'series', 'tvseries': 'series', 'tv mini series': 'series', 'tvminiseries': 'series'
+};
+
+/**
+ * Guess the format of an export file from its content
+ * @param {string} text - File content
+ * @returns {string|null} 'letterboxd', 'imdb', 'trakt', or null if unknown
+ */
+function detectFormat(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (content.startsWith('[') || content.startsWith('{')) return 'trakt';
+
+    const header = content.split(/\r?\n/, 1)[0].toLowerCase();
+    if (header.includes('letterboxd uri')) return 'letterboxd';
+    if (header.includes('const')) return 'imdb';
+    return null;
+}
+
+function parseLetterboxd(text) {
+    // Letterboxd only lists films
+    return parseCsv(text)
+        .filter(row => row.Name)
+        .map(row => ({ type: 'movie', title: row.Name, year: parseInt(row.Year) || null }));
+}
+
+function parseImdb(text) {
+    return parseCsv(text)
+        .filter(row => /^tt\d+$/.test(row.Const))
+        .map(row => {
+            const titleType = (row['Title Type'] || row['Title type'] || '').toLowerCase();
+            return {
+                type: IMDB_TYPES[titleType] || null,
+                title: row.Title || row['Original Title'] || row.Const,
+                year: parseInt(row.Year) || null,
+                imdbId: row.Const,
+                unsupported: titleType && !IMDB_TYPES[titleType] ? row['Title Type'] || row['Title type'] : null
+            };
+        });
+}
+
+function parseTrakt(text) {
+    const data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+    const list = Array.isArray(data) ? data : data.items || data.watchlist || [];
+
+    return list
+        .filter(item => item && (item.movie || item.show || item.type))
+        .map(item => {
+            const content = item.movie || item.show || {};
+            const ids = content.ids || {};
+            const unsupported = !item.movie && !item.show ? item.type : null;
+            return {
+                type: item.movie ? 'movie' : item.show ? 'series' : null,
+                title: content.title || item[item.type]?.title || item.type,
+                year: parseInt(content.year) || null,
+                imdbId: ids.imdb || null,
+                tmdbId: parseInt(ids.tmdb) || null,
+                unsupported
+            };
+        });
+}
+
+/**
+ * Read the entries of an export file
+ * @param {string} text - File content
+ * @param {string} format - 'letterboxd', 'imdb' or 'trakt' (detected if omitted)
+ * @returns {Object} { format, entries: [{ type, title, year, imdbId, tmdbId, unsupported }] }
+ */
+function parseWatchlist(text, format = null) {
+    const resolved = format || detectFormat(text);
+    if (!FORMATS.includes(resolved)) {
+        throw new Error('Unrecognised file: expected a Letterboxd CSV, IMDb list CSV or Trakt JSON export');
+    }
+
+    let entries;
+    try {
+        entries = resolved === 'letterboxd' ? parseLetterboxd(text)
+            : resolved === 'imdb' ? parseImdb(text)
+                : parseTrakt(text);
+    } catch (e) {
+        throw new Error(`Could not read the ${resolved} export: ${e.message}`);
+    }
+    return { format: resolved, entries };
+}
+
+// Lowercase, no accents or punctuation: "Amélie!" and "amelie" compare equal
+function normalizeTitle(title) {
+    return String(title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * How well a TMDB search result matches an entry
+ * 'high': same title and year, 'medium': same title or same year, 'low': anything else
+ */
+function rateMatch(entry, result) {
+    const title = normalizeTitle(entry.title);
+    const sameTitle = [result.title, result.original_title].some(t => normalizeTitle(t) === title);
+    const sameYear = entry.year && result.year === entry.year;
+    const closeYear = !entry.year || (result.year && Math.abs(result.year - entry.year) <= 1);
+
+    if (sameTitle && sameYear) return 'high';
+    if ((sameTitle && closeYear) || sameYear) return 'medium';
+    return 'low';
+}
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+function toMatch(result) {
+    return {
+        type: result.type,
+        tmdb_id: result.tmdb_id,
+        title: result.title,
+        year: result.year,
+        poster: result.poster
+    };
+}
+
+// Match by the IMDB ID from the file: certain, as long as TMDB knows it
+async function matchByImdbId(entry, db) {
+    const found = await findByExternalId(entry.imdbId, 'imdb_id', db);
+    const movie = found?.movie_results?.[0];
+    const show = found?.tv_results?.[0];
+
+    if (movie && entry.type !== 'series') return { ...movie, media_type: 'movie' };
+    if (show && entry.type !== 'movie') return { ...show, media_type: 'tv' };
+    return null;
+}
+
+/**
+ * Find the TMDB title of an export entry
+ * @param {Object} entry - Entry from parseWatchlist
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { match: { type, tmdb_id, title, year, poster } or null, confidence: 'high', 'medium', 'low' or 'none' }
+ */
+async function resolveEntry(entry, db) {
+    if (entry.tmdbId && entry.type) {
+        const details = await getTMDBDetails(entry.tmdbId, entry.type, db);
+        if (details) return { match: toMatch(details), confidence: 'high' };
+    }
+
+    if (entry.imdbId) {
+        const found = await matchByImdbId(entry, db);
+        if (found) {
+            return { match: toMatch(formatTMDBResult(found)), confidence: 'high' };
+        }
+    }
+
+    const searchType = entry.type === 'movie' ? 'movie' : entry.type === 'series' ? 'tv' : 'multi';
+    const results = (await searchTMDB(entry.title, searchType, db)).slice(0, 10);
+
+    let best = null;
+    let bestConfidence = 'none';
+    for (const result of results) {
+        const confidence = rateMatch(entry, result);
+        // Results come by relevance: only a better rating beats an earlier result
+        if (!best || CONFIDENCE_RANK[confidence] > CONFIDENCE_RANK[bestConfidence]) {
+            best = result;
+            bestConfidence = confidence;
+        }
+    }
+
+    return best ? { match: toMatch(best), confidence: bestConfidence } : { match: null, confidence: 'none' };
+}
+
+/**
+ * Parse an export file and match its entries, for the user to review before importing
+ * @param {number} userId - Target user ID
+ * @param {string} text - File content
+ * @param {string} format - 'letterboxd', 'imdb' or 'trakt' (detected if omitted)
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { format, items: [{ title, year, match, confidence, inCatalog, error }] }
+ */
+async function previewWatchlist(userId, text, format, db) {
+    const parsed = parseWatchlist(text, format);
+    const items = [];
+
+    for (const entry of parsed.entries) {
+        const item = { title: entry.title, year: entry.year, match: null, confidence: 'none', inCatalog: false };
+
+        if (entry.unsupported) {
+            items.push({ ...item, error: `Unsupported title type: ${entry.unsupported}` });
+            continue;
+        }
+
+        Object.assign(item, await resolveEntry(entry, db));
+        if (item.match) {
+            item.inCatalog = !!db.findUserMedia(userId, { type: item.match.type, tmdbId: item.match.tmdb_id });
+        }
+        items.push(item);
+    }
+
+    const matched = items.filter(i => i.match).length;
+    console.log(`[Watchlist] ${parsed.format} file for user ${userId}: ${items.length} entries, ${matched} matched`);
+    return { format: parsed.format, items };
+}
+
+/**
+ * Add the matches chosen in the preview to a user's catalog
+ * @param {number} userId - Target user ID
+ * @param {Array} items - [{ type, tmdb_id }]
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { added, skipped, errors: [{ item, error }] }
+ */
+async function importWatchlist(userId, items, db) {
+    const result = { added: 0, skipped: 0, errors: [] };
+
+    for (const item of items) {
+        const tmdbId = parseInt(item?.tmdb_id);
+        if (!['movie', 'series'].includes(item?.type) || !tmdbId) {
+            result.errors.push({ item: item?.title || item?.tmdb_id || null, error: 'type and tmdb_id are required' });
+            continue;
+        }
+
+        try {
+            const { created } = await ingestMedia({
+                user_id: userId,
+                type: item.type,
+                tmdb_id: tmdbId,
+                quality_profile_id: getQualityProfileIdForRequest(userId, {}, db)
+            }, db, { source: 'Watchlist', reactivate: false });
+            if (created) {
+                result.added++;
+            } else {
+                result.skipped++;
+            }
+        } catch (e) {
+            result.errors.push({ item: item.title || tmdbId, error: e.message });
+        }
+    }
+
+    console.log(`[Watchlist] User ${userId}: ${result.added} added, ${result.skipped} already in the catalog, ${result.errors.length} errors`);
+    return result;
+}
+
+module.exports = {
+    detectFormat,
+    parseWatchlist,
+    resolveEntry,
+    previewWatchlist,
+    importWatchlist,
+    FORMATS
+};
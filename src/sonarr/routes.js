@@ -1,7 +1,8 @@
 const express = require('express');
 const db = require('../db');
-const { checkStreamsAvailable } = require('../services/streamChecker');
-const { getTMDBDetails } = require('../services/tmdb');
+const { episodeHasStreams, getQualityProfileIdForRequest } = require('../services/streamChecker');
+const { getTMDBDetails, normalizeGenres } = require('../services/tmdb');
+const { ingestMedia, updateRequest, findExistingMedia } = require('../services/mediaIngest');
 
 const router = express.Router();
 
@@ -49,53 +50,33 @@ router.get('/api/v3/system/status', (req, res) => {
     });
 });
 
-// Root folders
+// Root folders: the default one, plus one per quality profile mapped to a folder
+// (e.g. the folder used by Jellyseerr's 4K server)
 router.get('/api/v3/rootfolder', (req, res) => {
-    res.json([
-        {
-            id: 1,
-            path: '/tv',
-            accessible: true,
-            freeSpace: 1000000000000,
-            unmappedFolders: []
-        }
-    ]);
+    const folders = ['/tv', ...db.getSharedQualityProfiles().map(p => p.root_folder).filter(Boolean)];
+    res.json([...new Set(folders)].map((path, i) => ({
+        id: i + 1,
+        path,
+        accessible: true,
+        freeSpace: 1000000000000,
+        unmappedFolders: []
+    })));
 });
 
-// Quality profiles
+// Quality profiles: the scoring profiles visible to this user, so the one
+// picked in Jellyseerr decides how streams are scored
 router.get('/api/v3/qualityprofile', (req, res) => {
-    res.json([
-        {
-            id: 1,
-            name: 'Any',
-            upgradeAllowed: true,
-            cutoff: 1,
-            items: [],
-            minFormatScore: 0,
-            cutoffFormatScore: 0,
-            formatItems: []
-        },
-        {
-            id: 2,
-            name: 'HD-1080p',
-            upgradeAllowed: true,
-            cutoff: 1,
-            items: [],
-            minFormatScore: 0,
-            cutoffFormatScore: 0,
-            formatItems: []
-        },
-        {
-            id: 3,
-            name: '4K',
-            upgradeAllowed: true,
-            cutoff: 1,
-            items: [],
-            minFormatScore: 0,
-            cutoffFormatScore: 0,
-            formatItems: []
-        }
-    ]);
+    const userId = req.seerrcatalogUserId || 1;
+    res.json(db.getQualityProfilesForUser(userId).map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        upgradeAllowed: true,
+        cutoff: 1,
+        items: [],
+        minFormatScore: profile.min_score,
+        cutoffFormatScore: profile.min_score,
+        formatItems: []
+    })));
 });
 
 // Language profiles
@@ -124,24 +105,28 @@ function toSonarrSeries(media, episodes = []) {
         if (!seasons[ep.season_number]) {
             seasons[ep.season_number] = {
                 seasonNumber: ep.season_number,
-                monitored: true,
+                monitored: false,
                 statistics: { episodeFileCount: 0, episodeCount: 0, totalEpisodeCount: 0 }
             };
         }
+        if (ep.monitored) seasons[ep.season_number].monitored = true;
         seasons[ep.season_number].statistics.totalEpisodeCount++;
         seasons[ep.season_number].statistics.episodeCount++;
-        if (media.streams_available) {
+        if (episodeHasStreams(media, ep)) {
             seasons[ep.season_number].statistics.episodeFileCount++;
         }
     });
 
+    const episodeFileCount = episodes.filter(ep => episodeHasStreams(media, ep)).length;
+    const ended = media.airing_status === 'Ended' || media.airing_status === 'Canceled';
+
     return {
         id: media.id,
         title: media.title,
         alternateTitles: [],
         sortTitle: media.title.toLowerCase(),
-        status: 'continuing',
-        ended: false,
+        status: ended ? 'ended' : 'continuing',
+        ended: ended,
         overview: media.overview || '',
         previousAiring: new Date().toISOString(),
         network: '',
@@ -153,10 +138,10 @@ function toSonarrSeries(media, episodes = []) {
         seasons: Object.values(seasons),
         year: media.year || 0,
         path: `/tv/${media.title}`,
-        qualityProfileId: 1,
+        qualityProfileId: media.quality_profile_id || 1,
         languageProfileId: 1,
         seasonFolder: true,
-        monitored: !!media.monitored,
+        monitored: !!media.monitored && media.status !== 'abandoned', // Abandoned: no longer searched for
         useSceneNumbering: false,
         runtime: media.runtime || 45,
         tvdbId: media.tvdb_id || 0,
@@ -170,50 +155,52 @@ function toSonarrSeries(media, episodes = []) {
         rootFolderPath: '/tv',
         certification: '',
         genres: media.genres || [],
-        tags: [],
+        tags: media.tags || [],
         added: media.added_at,
         ratings: { votes: 0, value: 0 },
         statistics: {
             seasonCount: Object.keys(seasons).length,
-            episodeFileCount: media.streams_available ? episodes.length : 0,
+            episodeFileCount,
             episodeCount: episodes.length,
             totalEpisodeCount: episodes.length,
             sizeOnDisk: 0,
-            percentOfEpisodes: media.streams_available ? 100 : 0
+            percentOfEpisodes: episodes.length > 0 ? Math.round(episodeFileCount / episodes.length * 100) : 0
         }
     };
 }
 
+// The user's own item: Jellyseerr on one user's route can't see or change another user's media
+function getUserMedia(req, id) {
+    const media = db.getActiveMediaById(parseInt(id));
+    if (!media || media.type !== 'series' || media.user_id !== (req.seerrcatalogUserId || 1)) return null;
+    return media;
+}
+
 // Get all series
 router.get('/api/v3/series', (req, res) => {
     const { tvdbId, imdbId } = req.query;
     console.log('[Sonarr] GET /api/v3/series', { tvdbId, imdbId });
 
-    if (tvdbId) {
-        const allSeries = db.getMediaByType('series');
-        const media = allSeries.find(s => s.tvdb_id === parseInt(tvdbId));
-        if (media) {
-            const episodes = db.getEpisodes(media.id);
-            const result = toSonarrSeries(media, episodes);
-            console.log('[Sonarr] Returning series:', {
-                id: result.id,
-                title: result.title,
-                episodeFileCount: result.statistics.episodeFileCount,
-                episodeCount: result.statistics.episodeCount,
-                streams_available: media.streams_available
-            });
-            return res.json([result]);
+    // Jellyseerr looks up what the user already has: another user's copy doesn't count
+    if (tvdbId || imdbId) {
+        const media = findExistingMedia(req.seerrcatalogUserId || 1, {
+            type: 'series', tvdbId: parseInt(tvdbId) || null, imdbId: imdbId || null
+        }, db);
+        // Archived and deleted items are added again (and brought back) by a new request
+        if (!media || media.archived_at || media.deleted_at) {
+            return res.json([]);
         }
-        return res.json([]);
-    }
 
-    if (imdbId) {
-        const media = db.getMediaByImdb(imdbId);
-        if (media && media.type === 'series') {
-            const episodes = db.getEpisodes(media.id);
-            return res.json([toSonarrSeries(media, episodes)]);
-        }
-        return res.json([]);
+        const episodes = db.getEpisodes(media.id);
+        const result = toSonarrSeries(media, episodes);
+        console.log('[Sonarr] Returning series:', {
+            id: result.id,
+            title: result.title,
+            episodeFileCount: result.statistics.episodeFileCount,
+            episodeCount: result.statistics.episodeCount,
+            streams_available: media.streams_available
+        });
+        return res.json([result]);
     }
 
     const series = db.getMediaByType('series');
@@ -284,7 +271,7 @@ router.get('/api/v3/series/lookup', async (req, res) => {
                     seriesType: 'standard',
                     cleanTitle: show.name.toLowerCase().replace(/[^a-z0-9]/g, ''),
                     certification: '',
-                    genres: show.genre_ids || [],
+                    genres: await normalizeGenres(show.genre_ids, 'series', db),
                     tags: [],
                     added: new Date().toISOString(),
                     ratings: { votes: show.vote_count || 0, value: show.vote_average || 0 },
@@ -319,8 +306,8 @@ router.get('/api/v3/series/lookup', async (req, res) => {
 // Get single series by ID
 // IMPORTANT: This parametric route must be AFTER /lookup to avoid route conflict!
 router.get('/api/v3/series/:id', (req, res) => {
-    const media = db.getMediaById(parseInt(req.params.id));
-    if (!media || media.type !== 'series') {
+    const media = getUserMedia(req, req.params.id);
+    if (!media) {
         return res.status(404).json({ message: 'Series not found' });
     }
     const episodes = db.getEpisodes(media.id);
@@ -334,17 +321,6 @@ router.post('/api/v3/series', async (req, res) => {
 
         console.log('[Sonarr] Adding series:', body.title);
 
-        // Check if series already exists
-        if (body.tvdbId) {
-            const allSeries = db.getMediaByType('series');
-            const existing = allSeries.find(s => s.tvdb_id === body.tvdbId);
-            if (existing) {
-                console.log('[Sonarr] Series already exists:', existing.id);
-                const episodes = db.getEpisodes(existing.id);
-                return res.json(toSonarrSeries(existing, episodes));
-            }
-        }
-
         // Extract images
         let poster = null;
         let backdrop = null;
@@ -355,46 +331,14 @@ router.post('/api/v3/series', async (req, res) => {
             backdrop = backdropImg?.remoteUrl || backdropImg?.url;
         }
 
-        // Fallback: If no poster, try to fetch from TMDB
-        if (!poster) {
-            try {
-                console.log(`[Sonarr] Missing poster for ${body.title}, trying TMDB fallback...`);
-                let tmdbId = body.tmdbId;
-
-                // If no TMDB ID, try to search by title
-                if (!tmdbId && body.title) {
-                    const { searchTMDB } = require('../services/tmdb');
-                    const results = await searchTMDB(body.title, 'tv', db);
-                    if (results && results.length > 0) {
-                        tmdbId = results[0].tmdb_id;
-                        console.log(`[Sonarr] Found TMDB ID via search: ${tmdbId}`);
-                    }
-                }
-
-                if (tmdbId) {
-                    const details = await getTMDBDetails(tmdbId, 'series', db);
-                    if (details) {
-                        if (details.poster) poster = details.poster;
-                        if (details.backdrop && !backdrop) backdrop = details.backdrop;
-                        // Update body properties if missing
-                        if (!body.overview && details.overview) body.overview = details.overview;
-                        if (!body.year && details.year) body.year = details.year;
-                        if (!body.genres && details.genres) body.genres = details.genres;
-                        if (!body.runtime && details.runtime) body.runtime = details.runtime;
-                        if (!body.tmdbId) body.tmdbId = tmdbId; // Save the discovered ID
-                        if (!body.imdbId && details.imdb_id) body.imdbId = details.imdb_id;  // IMDB ID pour stream check
-                        console.log('[Sonarr] Retrieved metadata from TMDB, IMDB:', body.imdbId);
-                    }
-                }
-            } catch (e) {
-                console.error('[Sonarr] TMDB fallback error:', e.message);
-            }
-        }
+        // Episodes of the monitored seasons (the season statistics size placeholders if TMDB can't be reached)
+        const monitoredSeasons = (body.seasons || []).filter(s => s.monitored);
+        const episodeCounts = {};
+        monitoredSeasons.forEach(s => { episodeCounts[s.seasonNumber] = s.statistics?.totalEpisodeCount; });
 
-        // Add to database with pending status
         // Assign to specific user if provided via user-specific route, else admin (ID=1)
         const userId = req.seerrcatalogUserId || 1;
-        const media = db.addMedia({
+        const { media, created } = await ingestMedia({
             user_id: userId,
             type: 'series',
             tmdb_id: body.tmdbId,
@@ -403,93 +347,73 @@ router.post('/api/v3/series', async (req, res) => {
             title: body.title,
             original_title: body.originalTitle,
             year: body.year,
-            poster: poster,
-            backdrop: backdrop,
+            poster,
+            backdrop,
             overview: body.overview,
             genres: body.genres,
             runtime: body.runtime,
-            status: 'pending', // Will be updated after stream check
-            monitored: body.monitored !== false
-        });
-
-        // Add seasons/episodes if provided
-        if (body.seasons) {
-            body.seasons.forEach(season => {
-                // We don't have episode details from Seerr, just create placeholder
-                if (season.monitored) {
-                    for (let ep = 1; ep <= (season.statistics?.totalEpisodeCount || 10); ep++) {
-                        db.addEpisode({
-                            media_id: media.id,
-                            season_number: season.seasonNumber,
-                            episode_number: ep,
-                            monitored: true
-                        });
-                    }
-                }
-            });
-        }
-
-        console.log('[Sonarr] Series added:', media.id, media.title);
-
-        // Trigger async stream check (don't wait for response)
-        setImmediate(async () => {
-            try {
-                const result = await checkStreamsAvailable(media, db);
-                db.updateStreamStatus(media.id, result.available, result.streamCount, result.lastChecked, result.addons);
-                if (result.available) {
-                    console.log(`[Sonarr] ✅ Streams found for: ${media.title} (${result.streamCount} streams)`);
-
-                    // Notify Jellyseerr that content is now available
-                    const { notifyMediaAvailable } = require('../services/jellyseerr');
-                    await notifyMediaAvailable(media);
-                } else {
-                    console.log(`[Sonarr] ⚠️ No streams found for: ${media.title}`);
-
-                    // Get user's filter preferences for the notification
-                    const user = media.user_id ? db.getUserById(media.user_id) : null;
-                    let filterPrefs = null;
-                    if (user) {
-                        const languageTagsJson = db.getSetting(`stream_filter_languages_${user.id}`);
-                        const minResolution = db.getSetting(`stream_filter_resolution_${user.id}`);
-                        filterPrefs = {
-                            languageTags: languageTagsJson ? JSON.parse(languageTagsJson) : [],
-                            minResolution: minResolution || null
-                        };
-                    }
-
-                    // Send Discord notification with filters
-                    const { sendNoSourceNotification } = require('../services/discord');
-                    await sendNoSourceNotification(media, filterPrefs);
-                }
-            } catch (e) {
-                console.error('[Sonarr] Stream check error:', e.message);
-            }
-        });
+            rating: body.rating,
+            monitored: body.monitored !== false,
+            quality_profile_id: getQualityProfileIdForRequest(userId, body, db),
+            seasons: monitoredSeasons.map(s => s.seasonNumber),
+            episode_counts: episodeCounts
+        }, db, { source: 'Sonarr', notify: true });
 
         const episodes = db.getEpisodes(media.id);
-        res.status(201).json(toSonarrSeries(media, episodes));
+        res.status(created ? 201 : 200).json(toSonarrSeries(media, episodes));
     } catch (e) {
         console.error('[Sonarr] Add series failed:', e);
         res.status(500).json({ message: e.message, stack: e.stack });
     }
 });
 
-// Update series
-router.put('/api/v3/series/:id', (req, res) => {
-    const media = db.getMediaById(parseInt(req.params.id));
-    if (!media || media.type !== 'series') {
+// Update series (monitored, quality profile, tags, monitored seasons - e.g. extra seasons requested in Jellyseerr)
+// The ID is in the path, or only in the body (PUT /api/v3/series)
+async function updateSeries(req, res) {
+    const body = req.body || {};
+    const media = getUserMedia(req, req.params.id ?? body.id);
+    if (!media) {
         return res.status(404).json({ message: 'Series not found' });
     }
-    const episodes = db.getEpisodes(media.id);
-    res.json(toSonarrSeries(media, episodes));
-});
+
+    // Series without a profile are reported with profile 1: only an actual change picks one
+    const profileChanged = body.qualityProfileId !== undefined && parseInt(body.qualityProfileId) !== (media.quality_profile_id || 1);
+
+    let monitoredSeasons;
+    const episodeCounts = {};
+    if (Array.isArray(body.seasons)) {
+        monitoredSeasons = {};
+        body.seasons.forEach(s => {
+            monitoredSeasons[s.seasonNumber] = !!s.monitored;
+            episodeCounts[s.seasonNumber] = s.statistics?.totalEpisodeCount;
+        });
+    }
+
+    try {
+        const { media: updated } = await updateRequest(media, {
+            monitored: body.monitored,
+            quality_profile_id: profileChanged ? getQualityProfileIdForRequest(media.user_id, { qualityProfileId: body.qualityProfileId }, db) : undefined,
+            tags: body.tags,
+            monitored_seasons: monitoredSeasons,
+            episode_counts: episodeCounts
+        }, db, { source: 'Sonarr', notify: true });
+
+        res.status(202).json(toSonarrSeries(updated, db.getEpisodes(updated.id)));
+    } catch (e) {
+        console.error('[Sonarr] Update series failed:', e);
+        res.status(500).json({ message: e.message });
+    }
+}
+
+router.put('/api/v3/series', updateSeries);
+router.put('/api/v3/series/:id', updateSeries);
 
 // Delete series
 router.delete('/api/v3/series/:id', (req, res) => {
     const id = parseInt(req.params.id);
-    const media = db.getMediaById(id);
+    const media = getUserMedia(req, id);
 
-    if (!media || media.type !== 'series') {
+    if (!media) {
         return res.status(404).json({ message: 'Series not found' });
     }
 
@@ -507,8 +431,8 @@ router.get('/api/v3/episode', (req, res) => {
         return res.json([]);
     }
 
-    const media = db.getMediaById(parseInt(seriesId));
-    if (!media || media.type !== 'series') {
+    const media = getUserMedia(req, seriesId);
+    if (!media) {
         return res.json([]);
     }
 
@@ -517,14 +441,14 @@ router.get('/api/v3/episode', (req, res) => {
         id: ep.id,
         seriesId: media.id,
         tvdbId: 0,
-        episodeFileId: media.streams_available ? ep.id : 0,
+        episodeFileId: episodeHasStreams(media, ep) ? ep.id : 0,
         seasonNumber: ep.season_number,
         episodeNumber: ep.episode_number,
         title: ep.title || `Episode ${ep.episode_number}`,
         airDate: ep.air_date,
         airDateUtc: ep.air_date,
         overview: ep.overview || '',
-        hasFile: !!media.streams_available,
+        hasFile: episodeHasStreams(media, ep),
         monitored: !!ep.monitored,
         absoluteEpisodeNumber: ep.episode_number,
         unverifiedSceneNumbering: false,
@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const db = require('../db');
 const tmdb = require('../services/tmdb');
+const { requireAdmin } = require('../auth/session');
 
 const router = express.Router();
 
@@ -26,12 +27,15 @@ router.get('/api/stats', (req, res) => {
 
 // API: Get all media with filters
 router.get('/api/media', (req, res) => {
-    const { type, watched, available, userId } = req.query;
+    const { type, watched, available, status, archived, deleted, userId } = req.query;
 
     const filters = {};
     if (type) filters.type = type;
     if (watched !== undefined) filters.watched = watched === 'true';
     if (available !== undefined) filters.available = available === 'true';
+    if (status) filters.status = status;
+    if (archived === 'true') filters.archived = true;
+    if (deleted === 'true') filters.deleted = true;
     if (userId) filters.userId = parseInt(userId);
 
     const media = db.getFilteredMedia(filters);
@@ -40,6 +44,66 @@ router.get('/api/media', (req, res) => {
 
 
 
+// API: Search TMDB for content to request (flags what the user already has)
+router.get('/api/search', async (req, res) => {
+    const query = (req.query.q || '').trim();
+    if (!query) return res.json([]);
+    if (!tmdb.isConfigured(db)) return res.status(400).json({ error: 'TMDB API key not configured' });
+
+    const searchType = req.query.type === 'movie' ? 'movie' : req.query.type === 'series' ? 'tv' : 'multi';
+    const results = await tmdb.searchTMDB(query, searchType, db);
+    res.json(results.map(result => {
+        // Archived and deleted items can be requested again
+        const existing = db.findUserMedia(req.user.id, { type: result.type, tmdbId: result.tmdb_id });
+        const active = existing && !existing.archived_at && !existing.deleted_at;
+        return { ...result, inCatalog: !!active, mediaId: active ? existing.id : null };
+    }));
+});
+
+// API: Seasons of a series on TMDB, to choose which ones to request
+router.get('/api/search/series/:tmdbId/seasons', async (req, res) => {
+    const show = await tmdb.getTVShowSeasons(parseInt(req.params.tmdbId), db);
+    if (!show) return res.status(404).json({ error: 'Series not found on TMDB' });
+    res.json(show);
+});
+
+// API: Request a movie or series for the logged-in user (like a Radarr/Sonarr add)
+router.post('/api/media', async (req, res) => {
+    const { type, seasons } = req.body || {};
+    const tmdbId = parseInt(req.body?.tmdbId);
+    if (!['movie', 'series'].includes(type) || !tmdbId) {
+        return res.status(400).json({ error: 'type (movie or series) and tmdbId are required' });
+    }
+
+    try {
+        const { ingestMedia } = require('../services/mediaIngest');
+        const { getQualityProfileIdForRequest } = require('../services/streamChecker');
+        const userId = req.user.id;
+        const { media, created, reactivated, addedSeasons } = await ingestMedia({
+            user_id: userId,
+            type,
+            tmdb_id: tmdbId,
+            quality_profile_id: getQualityProfileIdForRequest(userId, {}, db),
+            // Only the chosen seasons (all of them if none were chosen)
+            seasons: Array.isArray(seasons) && seasons.length > 0 ? seasons.map(Number) : undefined
+        }, db, { source: 'WebUI', notify: true });
+
+        if (!created && !reactivated && addedSeasons.length === 0) return res.status(409).json({ error: 'Already in your catalog', media });
+        res.status(201).json(media);
+    } catch (e) {
+        console.error('[WebUI] Request failed:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// API: Episodes of a series (watched and stream status)
+router.get('/api/media/:id/episodes', (req, res) => {
+    const media = db.getMediaById(parseInt(req.params.id));
+    if (!media || media.type !== 'series') return res.status(404).json({ error: 'Not found' });
+
+    res.json(db.getEpisodes(media.id));
+});
+
 // API: Mark as watched
 router.post('/api/media/:id/watched', (req, res) => {
     const id = parseInt(req.params.id);
@@ -62,43 +126,108 @@ router.delete('/api/media/:id/watched', (req, res) => {
     res.json(result);
 });
 
+// API: Restore an archived item to the catalog
+router.post('/api/media/:id/unarchive', (req, res) => {
+    const id = parseInt(req.params.id);
+    const media = db.getMediaById(id);
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    if (!media.archived_at) return res.status(400).json({ error: 'Not archived' });
+
+    const result = db.unarchiveMedia(id);
+    console.log(`[WebUI] Media restored from archive: ${id} - ${media.title}`);
+    res.json(result);
+});
+
 // API: Check streams for media
 router.post('/api/media/:id/check-streams', async (req, res) => {
     const media = db.getMediaById(parseInt(req.params.id));
     if (!media) return res.status(404).json({ error: 'Not found' });
 
     try {
-        const { checkStreamsAvailable } = require('../services/streamChecker');
+        const { checkStreamsAvailable, saveCheckResult } = require('../services/streamChecker');
+        const { resetRecheckState } = require('../services/recheckPolicy');
+        // A manual check starts the backoff over (and brings abandoned items back)
+        resetRecheckState(media, db);
         const result = await checkStreamsAvailable(media, db);
-        db.updateStreamStatus(media.id, result.available, result.streamCount, result.lastChecked, result.addons);
+        saveCheckResult(media, result, db);
         res.json({ ...result, title: media.title });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// API: Delete media
+// API: Delete media (moved to the trash, deleted for good if already there)
 router.delete('/api/media/:id', (req, res) => {
     const id = parseInt(req.params.id);
     const media = db.getMediaById(id);
     if (!media) return res.status(404).json({ error: 'Not found' });
 
+    if (media.deleted_at) {
+        db.purgeMedia(id);
+        console.log(`[WebUI] Media permanently deleted: ${id} - ${media.title}`);
+        return res.json({ success: true, deleted: id, purged: true });
+    }
+
     db.deleteMedia(id);
-    console.log(`[WebUI] Media deleted: ${id} - ${media.title}`);
+    console.log(`[WebUI] Media moved to the trash: ${id} - ${media.title}`);
     res.json({ success: true, deleted: id });
 });
 
+// API: Restore media from the trash
+router.post('/api/media/:id/restore', (req, res) => {
+    const id = parseInt(req.params.id);
+    const media = db.getMediaById(id);
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    if (!media.deleted_at) return res.status(400).json({ error: 'Not in the trash' });
+
+    const result = db.restoreMedia(id);
+    console.log(`[WebUI] Media restored from the trash: ${id} - ${media.title}`);
+    res.json(result);
+});
+
 // API: Check all streams
 router.post('/api/check-all-streams', async (req, res) => {
     try {
         const { recheckUnavailableMedia } = require('../services/streamChecker');
-        recheckUnavailableMedia(db).catch(console.error);
-        res.json({ message: 'Started' });
+        const queued = recheckUnavailableMedia(db).length;
+        res.json({ message: 'Started', queued });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// API: Stream check queue status
+router.get('/api/jobs', (req, res) => {
+    const { getQueueStatus } = require('../services/jobQueue');
+    res.json(getQueueStatus(db));
+});
+
+// API: Scheduled tasks (cron, last and next run)
+router.get('/api/schedules', (req, res) => {
+    const { getSchedulerStatus } = require('../services/scheduler');
+    res.json(getSchedulerStatus(db));
+});
+
+// API: Change a task's cron expression (empty = default) - tasks run for every user, so admins only
+router.put('/api/schedules/:name', requireAdmin, (req, res) => {
+    const { setTaskSchedule, getSchedulerStatus } = require('../services/scheduler');
+    const error = setTaskSchedule(req.params.name, req.body.cron, db);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(getSchedulerStatus(db).find(t => t.name === req.params.name));
+});
+
+// API: Run a scheduled task now (admins only)
+router.post('/api/schedules/:name/run', requireAdmin, (req, res) => {
+    const { runTaskNow } = require('../services/scheduler');
+    const error = runTaskNow(req.params.name, db);
+    if (error) {
+        return res.status(409).json({ error });
+    }
+    res.json({ message: 'Started' });
+});
+
 // API: Get users
 router.get('/api/users', (req, res) => {
     res.json(db.getAllUsers());